@@ -7,16 +7,46 @@ import {
   updatePhoneSize,
   togglePhoneUI,
   isPhoneUIOpen,
-  renderAllMessages
+  renderAllMessages,
+  resetPhoneView,
+  syncFromMainChat,
+  getCurrentCharacter,
+  getGroupMembers
 } from "./lib/phone-ui.js";
 import {
   updateTextingPrompt,
-  getDefaultPrompt
+  getDefaultPrompt,
+  getDefaultRawPrompt
 } from "./lib/prompt-manager.js";
 import {
+  loadPhoneStore,
   syncWithMainChat,
-  clearMessages
+  hasUnsyncedMirrors
 } from "./lib/message-store.js";
+import { getMainChatMirrors } from "./lib/context-bridge.js";
+import {
+  getReplyProcessors,
+  setReplyProcessors
+} from "./lib/reply-pipeline.js";
+import {
+  getCharacterTextingData,
+  updateCharacterTextingData
+} from "./lib/character-settings.js";
+import {
+  getConnectionProfiles,
+  getStreamingUnavailableReason
+} from "./lib/generation.js";
+import {
+  getSessionSummary,
+  setSessionSummary,
+  clearSessionSummary,
+  summarizeSession,
+  updateSummaryInjection
+} from "./lib/session-summary.js";
+import {
+  startProactiveMessaging,
+  onMainChatMessageReceived
+} from "./lib/proactive.js";
 
 // Extension configuration
 const extensionName = "st-text-messaging";
@@ -60,8 +90,39 @@ const defaultSettings = {
   groupShowCharacterNames: true,    // Show character name above messages
   groupColorCodeCharacters: true,   // Different bubble colors per character
   groupInheritTextingStyle: true,   // Use same texting style as individual chats
+  groupBanterEnabled: false,        // Members keep texting each other after a reply (auto mode)
+  groupBanterRounds: 3,             // Maximum banter rounds before waiting for the user
   // Context settings
-  contextMessageCount: 10           // Number of recent messages to include in context
+  contextMessageCount: 10,          // Number of recent messages to include in context
+  contextBridgeMode: "lines",       // Story context for texts: "lines", "summary" (LLM scene summary) or "off"
+  contextTokenBudget: 500,          // Token budget for recent messages (0 = no limit)
+  mirrorMode: "full",               // Texts in the main chat: "full", "hidden", "digest" (one block per session) or "none"
+  // Reply generation settings
+  streamReplies: false,             // Stream replies token by token (needs Connection Manager)
+  phoneProfileId: "",               // Connection Manager profile for phone replies ("" = main chat's)
+  phonePreset: "",                  // Completion preset for phone replies ("" = main chat's)
+  phoneMaxTokens: 0,                // Token limit for phone replies (0 = main chat's response length)
+  splitReplies: true,               // Split long replies into several bubbles
+  typingSpeed: 30,                  // Simulated typing speed in characters per second (0 = instant)
+  maxReplyLength: 500,              // Character limit applied by the length post-processor
+  replyProcessors: [],              // Post-processor order and enabled state (empty = defaults)
+  narrationMode: "remove",          // What to do with *actions*: "remove" or "convert" (to emoji)
+  narrationUnwrapQuotes: true,      // Unwrap replies entirely wrapped in quotes
+  narrationRetry: true,             // Regenerate once when a reply is mostly narration
+  // Raw generation settings
+  rawGeneration: false,             // Build phone prompts from scratch instead of on the main chat prompt
+  rawPrompt: "",                    // Texting system prompt template ("" = default)
+  rawIncludeSummary: true,          // Add the main chat's summary to raw prompts
+  // Proactive text settings
+  proactiveEnabled: false,          // Let characters text first
+  proactiveIdleMinutes: 30,         // Text first after this many idle minutes (0 = off)
+  proactiveTurns: 10,               // Text first after this many main chat turns without texting (0 = off)
+  // World Info settings
+  worldInfoEnabled: true,           // Scan phone messages for World Info activation
+  phoneLorebook: "",                // Lorebook whose entries only apply to phone replies ("" = none)
+  // Session summary settings
+  summaryOnClose: true,             // Summarize new texts for the story when the phone closes
+  summaryDepth: 4                   // Main chat prompt depth the summary is inserted at
 };
 
 /**
@@ -111,9 +172,163 @@ async function loadSettings() {
   $("#group_show_character_names").prop("checked", extension_settings[extensionName].groupShowCharacterNames ?? true);
   $("#group_color_code_characters").prop("checked", extension_settings[extensionName].groupColorCodeCharacters ?? true);
   $("#group_inherit_texting_style").prop("checked", extension_settings[extensionName].groupInheritTextingStyle ?? true);
+  $("#group_banter_enabled").prop("checked", extension_settings[extensionName].groupBanterEnabled ?? false);
+  $("#group_banter_rounds").val(extension_settings[extensionName].groupBanterRounds ?? 3);
 
   // Context settings
   $("#context_message_count").val(extension_settings[extensionName].contextMessageCount ?? 10);
+  $("#context_bridge_mode").val(extension_settings[extensionName].contextBridgeMode ?? "lines");
+  $("#context_token_budget").val(extension_settings[extensionName].contextTokenBudget ?? 500);
+  $("#mirror_mode").val(extension_settings[extensionName].mirrorMode ?? "full");
+
+  // Reply generation settings
+  $("#stream_replies").prop("checked", extension_settings[extensionName].streamReplies ?? false);
+  populatePhoneProfileOptions();
+  updateStreamingStatus();
+  $("#phone_preset").val(extension_settings[extensionName].phonePreset ?? "");
+  $("#phone_max_tokens").val(extension_settings[extensionName].phoneMaxTokens ?? 0);
+  $("#split_replies").prop("checked", extension_settings[extensionName].splitReplies ?? true);
+  $("#typing_speed").val(extension_settings[extensionName].typingSpeed ?? 30);
+  $("#max_reply_length").val(extension_settings[extensionName].maxReplyLength ?? 500);
+  renderReplyProcessorList();
+
+  // Narration settings
+  $("#narration_mode").val(extension_settings[extensionName].narrationMode ?? "remove");
+  $("#narration_unwrap_quotes").prop("checked", extension_settings[extensionName].narrationUnwrapQuotes ?? true);
+  $("#narration_retry").prop("checked", extension_settings[extensionName].narrationRetry ?? true);
+
+  // Raw generation settings
+  $("#raw_generation_enabled").prop("checked", extension_settings[extensionName].rawGeneration ?? false);
+  $("#raw_prompt_text").val(extension_settings[extensionName].rawPrompt || getDefaultRawPrompt());
+  $("#raw_include_summary").prop("checked", extension_settings[extensionName].rawIncludeSummary ?? true);
+
+  // Proactive text settings
+  $("#proactive_enabled").prop("checked", extension_settings[extensionName].proactiveEnabled ?? false);
+  $("#proactive_idle_minutes").val(extension_settings[extensionName].proactiveIdleMinutes ?? 30);
+  $("#proactive_turns").val(extension_settings[extensionName].proactiveTurns ?? 10);
+
+  // World Info settings
+  $("#world_info_enabled").prop("checked", extension_settings[extensionName].worldInfoEnabled ?? true);
+  $("#phone_lorebook").val(extension_settings[extensionName].phoneLorebook ?? "");
+
+  // Session summary settings
+  $("#summary_on_close").prop("checked", extension_settings[extensionName].summaryOnClose ?? true);
+  $("#summary_depth").val(extension_settings[extensionName].summaryDepth ?? 4);
+  loadSessionSummary();
+
+  // Per-character texting options (stored on the character cards)
+  populateCharacterProfileTargets();
+}
+
+/**
+ * Gets the characters of the current chat (one, or every group member)
+ * @returns {Array} Character objects
+ */
+function getChatCharacters() {
+  const context = getContext();
+  if (context.groupId) {
+    return getGroupMembers();
+  }
+  if (context.characterId === undefined) {
+    return [];
+  }
+  return [getCurrentCharacter()];
+}
+
+/**
+ * Fills the character picker of the per-character texting section
+ * Keeps the current selection if that character is still in the chat
+ */
+function populateCharacterProfileTargets() {
+  const $select = $("#character_profile_target");
+  const previous = $select.val();
+  const characters = getChatCharacters();
+
+  $select.empty();
+  characters.forEach(character => {
+    $select.append($("<option></option>").val(character.avatar).text(character.name));
+  });
+
+  if (characters.some(c => c.avatar === previous)) {
+    $select.val(previous);
+  }
+
+  $("#character_profile_fields").toggle(characters.length > 0);
+  $("#character_profile_empty").toggle(characters.length === 0);
+  loadCharacterProfile();
+}
+
+/**
+ * Gets the character selected in the per-character texting section
+ * @returns {Object|null} Character object
+ */
+function getSelectedProfileCharacter() {
+  const avatar = $("#character_profile_target").val();
+  return getChatCharacters().find(c => c.avatar === avatar) || null;
+}
+
+/**
+ * Shows the selected character's texting options from their card
+ * Each field's data-profile-field attribute names the option it edits
+ */
+function loadCharacterProfile() {
+  const data = getCharacterTextingData(getSelectedProfileCharacter());
+  $("#character_profile_fields [data-profile-field]").each(function () {
+    const value = data[$(this).attr("data-profile-field")];
+    $(this).val(value === undefined || value === null ? "" : value);
+  });
+}
+
+/**
+ * Event handler: Per-character texting option change
+ */
+async function onCharacterProfileFieldChange(event) {
+  const character = getSelectedProfileCharacter();
+  if (!character) return;
+
+  const $field = $(event.target);
+  const field = $field.attr("data-profile-field");
+  let value = String($field.val()).trim();
+
+  // Typing speed: blank uses the global speed, otherwise clamp like the global setting
+  if (field === "typingSpeed" && value !== "") {
+    const speed = parseInt(value, 10);
+    value = Number.isNaN(speed) ? "" : Math.max(0, Math.min(200, speed));
+    $field.val(value);
+  }
+
+  const saved = await updateCharacterTextingData(character, { [field]: value === "" ? null : value });
+  if (!saved) {
+    toastr.error("Could not save the setting to the character card");
+  }
+}
+
+/**
+ * Renders the reply post-processor list in settings, in run order
+ */
+function renderReplyProcessorList() {
+  const $list = $("#reply_processor_list");
+  $list.empty();
+
+  const processors = getReplyProcessors();
+  processors.forEach((processor, index) => {
+    $list.append(`
+      <div class="reply-processor-row" data-processor-id="${processor.id}">
+        <label class="checkbox_label" title="${processor.description}">
+          <input class="reply-processor-enabled" type="checkbox" ${processor.enabled ? 'checked' : ''} />
+          <span>${processor.label}</span>
+        </label>
+        <div class="reply-processor-actions">
+          <button class="menu_button reply-processor-move" data-direction="-1" type="button" title="Run earlier" ${index === 0 ? 'disabled' : ''}>
+            <i class="fa-solid fa-arrow-up"></i>
+          </button>
+          <button class="menu_button reply-processor-move" data-direction="1" type="button" title="Run later" ${index === processors.length - 1 ? 'disabled' : ''}>
+            <i class="fa-solid fa-arrow-down"></i>
+          </button>
+        </div>
+      </div>
+    `);
+  });
 }
 
 /**
@@ -225,6 +440,300 @@ function onSoundToggle(event) {
   saveSettings();
 }
 
+/**
+ * Event handler: Stream replies toggle
+ */
+function onStreamRepliesToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].streamReplies = enabled;
+  updateStreamingStatus();
+  saveSettings();
+}
+
+/**
+ * Shows why replies can't be streamed while streaming is enabled
+ */
+function updateStreamingStatus() {
+  const extension_settings = getSettingsStore();
+  const reason = (extension_settings[extensionName].streamReplies ?? false)
+    ? getStreamingUnavailableReason()
+    : "";
+  $("#stream_replies_status").text(reason ? `${reason}. Replies are generated without streaming.` : "").toggle(Boolean(reason));
+}
+
+/**
+ * Fills the phone connection profile picker from the Connection Manager
+ * A saved profile that no longer exists is shown as missing rather than dropped
+ */
+function populatePhoneProfileOptions() {
+  const extension_settings = getSettingsStore();
+  const selectedId = extension_settings[extensionName].phoneProfileId ?? "";
+  const profiles = getConnectionProfiles();
+  const $select = $("#phone_profile");
+
+  $select.empty();
+  $select.append($("<option></option>").val("").text("Same as main chat"));
+  profiles.forEach(profile => {
+    $select.append($("<option></option>").val(profile.id).text(profile.name));
+  });
+
+  if (selectedId && !profiles.some(p => p.id === selectedId)) {
+    $select.append($("<option></option>").val(selectedId).text("(missing profile)"));
+  }
+  $select.val(selectedId);
+}
+
+/**
+ * Event handler: Phone connection profile change
+ */
+function onPhoneProfileChange(event) {
+  const extension_settings = getSettingsStore();
+  extension_settings[extensionName].phoneProfileId = String($(event.target).val() || "");
+  updateStreamingStatus();
+  saveSettings();
+}
+
+/**
+ * Event handler: Phone completion preset change
+ */
+function onPhonePresetChange(event) {
+  const extension_settings = getSettingsStore();
+  const preset = String($(event.target).val() || "").trim();
+  extension_settings[extensionName].phonePreset = preset;
+  $(event.target).val(preset);
+  saveSettings();
+}
+
+/**
+ * Event handler: Phone max tokens change
+ */
+function onPhoneMaxTokensChange(event) {
+  const extension_settings = getSettingsStore();
+  const tokens = parseInt($(event.target).val(), 10);
+  // Clamp between 0 (main chat's response length) and 16384 tokens
+  const clampedTokens = Math.max(0, Math.min(16384, Number.isNaN(tokens) ? 0 : tokens));
+  extension_settings[extensionName].phoneMaxTokens = clampedTokens;
+  $(event.target).val(clampedTokens); // Update UI if clamped
+  saveSettings();
+}
+
+/**
+ * Event handler: Split replies toggle
+ */
+function onSplitRepliesToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].splitReplies = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Typing speed change
+ */
+function onTypingSpeedChange(event) {
+  const extension_settings = getSettingsStore();
+  const speed = parseInt($(event.target).val(), 10);
+  // Clamp between 0 (instant) and 200 characters per second
+  const clampedSpeed = Math.max(0, Math.min(200, Number.isNaN(speed) ? 30 : speed));
+  extension_settings[extensionName].typingSpeed = clampedSpeed;
+  $(event.target).val(clampedSpeed); // Update UI if clamped
+  saveSettings();
+}
+
+/**
+ * Event handler: Max reply length change
+ */
+function onMaxReplyLengthChange(event) {
+  const extension_settings = getSettingsStore();
+  const length = parseInt($(event.target).val(), 10) || 500;
+  // Clamp between 50 and 5000 characters
+  const clampedLength = Math.max(50, Math.min(5000, length));
+  extension_settings[extensionName].maxReplyLength = clampedLength;
+  $(event.target).val(clampedLength); // Update UI if clamped
+  saveSettings();
+}
+
+/**
+ * Event handler: Reply processor enabled/disabled
+ */
+function onReplyProcessorToggle(event) {
+  const id = $(event.target).closest(".reply-processor-row").attr("data-processor-id");
+  const processors = getReplyProcessors().map(p => (
+    p.id === id ? { ...p, enabled: Boolean($(event.target).prop("checked")) } : p
+  ));
+  setReplyProcessors(processors);
+  saveSettings();
+}
+
+/**
+ * Event handler: Move a reply processor up or down the run order
+ */
+function onReplyProcessorMove(event) {
+  const $button = $(event.currentTarget);
+  const id = $button.closest(".reply-processor-row").attr("data-processor-id");
+  const direction = Number($button.attr("data-direction"));
+
+  const processors = getReplyProcessors();
+  const index = processors.findIndex(p => p.id === id);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= processors.length) {
+    return;
+  }
+
+  [processors[index], processors[target]] = [processors[target], processors[index]];
+  setReplyProcessors(processors);
+  saveSettings();
+  renderReplyProcessorList();
+}
+
+/**
+ * Event handler: Narration mode change
+ */
+function onNarrationModeChange(event) {
+  const extension_settings = getSettingsStore();
+  extension_settings[extensionName].narrationMode = String($(event.target).val());
+  saveSettings();
+}
+
+/**
+ * Event handler: Unwrap quotes toggle
+ */
+function onNarrationUnwrapQuotesToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].narrationUnwrapQuotes = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Narration retry toggle
+ */
+function onNarrationRetryToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].narrationRetry = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Proactive texts toggle
+ */
+function onProactiveToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].proactiveEnabled = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Proactive idle minutes change
+ */
+function onProactiveIdleMinutesChange(event) {
+  const extension_settings = getSettingsStore();
+  const minutes = parseInt($(event.target).val(), 10);
+  // Clamp between 0 (off) and one day
+  const clampedMinutes = Math.max(0, Math.min(1440, Number.isNaN(minutes) ? 30 : minutes));
+  extension_settings[extensionName].proactiveIdleMinutes = clampedMinutes;
+  $(event.target).val(clampedMinutes); // Update UI if clamped
+  saveSettings();
+}
+
+/**
+ * Event handler: Proactive main chat turns change
+ */
+function onProactiveTurnsChange(event) {
+  const extension_settings = getSettingsStore();
+  const turns = parseInt($(event.target).val(), 10);
+  // Clamp between 0 (off) and 100
+  const clampedTurns = Math.max(0, Math.min(100, Number.isNaN(turns) ? 10 : turns));
+  extension_settings[extensionName].proactiveTurns = clampedTurns;
+  $(event.target).val(clampedTurns); // Update UI if clamped
+  saveSettings();
+}
+
+/**
+ * Event handler: World Info scan toggle
+ */
+function onWorldInfoToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].worldInfoEnabled = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Phone lorebook change
+ */
+function onPhoneLorebookChange(event) {
+  const extension_settings = getSettingsStore();
+  const lorebook = String($(event.target).val() || "").trim();
+  extension_settings[extensionName].phoneLorebook = lorebook;
+  $(event.target).val(lorebook);
+  saveSettings();
+}
+
+/**
+ * Shows the current chat's session summary in the settings
+ */
+function loadSessionSummary() {
+  $("#session_summary_text").val(getSessionSummary());
+}
+
+/**
+ * Event handler: Summarize on close toggle
+ */
+function onSummaryOnCloseToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].summaryOnClose = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Summary depth change
+ */
+function onSummaryDepthChange(event) {
+  const extension_settings = getSettingsStore();
+  const depth = parseInt($(event.target).val(), 10);
+  // Clamp between 0 (end of the chat) and 100 messages deep
+  const clampedDepth = Math.max(0, Math.min(100, Number.isNaN(depth) ? 4 : depth));
+  extension_settings[extensionName].summaryDepth = clampedDepth;
+  $(event.target).val(clampedDepth); // Update UI if clamped
+  saveSettings();
+  updateSummaryInjection();
+}
+
+/**
+ * Event handler: Session summary edited
+ */
+function onSessionSummaryChange(event) {
+  setSessionSummary($(event.target).val());
+}
+
+/**
+ * Event handler: Summarize texts now
+ */
+async function onSummarizeNow() {
+  const $button = $("#summary_now");
+  $button.prop("disabled", true);
+  try {
+    await summarizeSession({ notify: true });
+    loadSessionSummary();
+  } finally {
+    $button.prop("disabled", false);
+  }
+}
+
+/**
+ * Event handler: Clear session summary
+ */
+function onSummaryClear() {
+  clearSessionSummary();
+  loadSessionSummary();
+  toastr.info('Session summary cleared');
+}
+
 /**
  * Event handler: Timestamps toggle
  */
@@ -347,6 +856,29 @@ function onGroupInheritTextingStyleToggle(event) {
   updateTextingPrompt();
 }
 
+/**
+ * Event handler: Group banter toggle
+ */
+function onGroupBanterToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].groupBanterEnabled = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Group banter rounds change
+ */
+function onGroupBanterRoundsChange(event) {
+  const extension_settings = getSettingsStore();
+  const rounds = parseInt($(event.target).val(), 10);
+  // Clamp between 1 and 20
+  const clampedRounds = Math.max(1, Math.min(20, Number.isNaN(rounds) ? 3 : rounds));
+  extension_settings[extensionName].groupBanterRounds = clampedRounds;
+  $(event.target).val(clampedRounds); // Update UI if clamped
+  saveSettings();
+}
+
 /**
  * Event handler: Context message count changed
  */
@@ -360,11 +892,48 @@ function onContextMessageCountChange(event) {
   saveSettings();
 }
 
+/**
+ * Event handler: Story context mode change
+ */
+function onContextBridgeModeChange(event) {
+  const extension_settings = getSettingsStore();
+  extension_settings[extensionName].contextBridgeMode = $(event.target).val();
+  saveSettings();
+}
+
+/**
+ * Event handler: Story context token budget change
+ */
+function onContextTokenBudgetChange(event) {
+  const extension_settings = getSettingsStore();
+  const budget = parseInt($(event.target).val(), 10);
+  // Clamp between 0 (no limit) and 8000 tokens
+  const clampedBudget = Math.max(0, Math.min(8000, Number.isNaN(budget) ? 500 : budget));
+  extension_settings[extensionName].contextTokenBudget = clampedBudget;
+  $(event.target).val(clampedBudget); // Update UI if clamped
+  saveSettings();
+}
+
+/**
+ * Event handler: Main chat mirror mode change
+ * Only applies to new texts; existing mirrors stay as they are
+ */
+function onMirrorModeChange(event) {
+  const extension_settings = getSettingsStore();
+  extension_settings[extensionName].mirrorMode = $(event.target).val();
+  saveSettings();
+}
+
 /**
  * Event handler: Main chat message deleted
  * Syncs phone UI with main chat when messages are deleted
  */
 function onMainChatMessageDeleted() {
+  // Deleting story messages leaves every mirror in place; skip the full sync
+  if (!hasUnsyncedMirrors(getMainChatMirrors())) {
+    return;
+  }
+
   const removedCount = syncWithMainChat();
   if (removedCount > 0 && isPhoneUIOpen()) {
     // Re-render phone UI to reflect deleted messages
@@ -373,18 +942,62 @@ function onMainChatMessageDeleted() {
   }
 }
 
+/**
+ * Checks whether a main chat message is a mirror of phone messages
+ * @param {number} messageIndex - Index of the message in the chat
+ * @returns {boolean} True for 📱 messages and digests
+ */
+function isPhoneMirror(messageIndex) {
+  return Boolean(getContext().chat?.[messageIndex]?.extra?.isPhoneMessage);
+}
+
+/**
+ * Event handler: Main chat message edited
+ * Edits of 📱 messages are copied to the phone and flagged as edited there
+ * @param {number} messageIndex - Index of the edited message
+ */
+function onMainChatMessageEdited(messageIndex) {
+  if (isPhoneMirror(messageIndex)) {
+    syncFromMainChat();
+  }
+}
+
+/**
+ * Event handler: Main chat message swiped, or a swipe finished generating
+ * The phone shows the 📱 message's current swipe, without the edited flag
+ * @param {number} messageIndex - Index of the swiped message
+ */
+function onMainChatMessageSwiped(messageIndex) {
+  if (isPhoneMirror(messageIndex)) {
+    syncFromMainChat({ markEdited: false });
+  }
+}
+
+/**
+ * Event handler: Message moved up or down in the main chat's edit mode
+ * ST emits no event for moves. Its own click handler, bound before this one,
+ * has already swapped the messages, so the phone takes the new order
+ */
+function onMainChatMessageMoved() {
+  syncFromMainChat({ markEdited: false });
+}
+
 /**
  * Event handler: Chat changed (switched character/group)
- * Clears phone message store for new conversation
+ * Phone threads live in the chat metadata; the new chat's store is loaded
+ * (and migrated) first, before anything reads it
  */
-function onChatChanged() {
-  // Clear the current phone message store when switching chats
-  // The phone UI will reconstruct from main chat when opened
-  clearMessages();
+async function onChatChanged() {
+  await loadPhoneStore();
   if (isPhoneUIOpen()) {
-    renderAllMessages();
+    resetPhoneView();
   }
-  console.log('[st-text-messaging] Chat changed, phone messages cleared');
+  // Pick up changes made to the mirrors while the phone wasn't listening
+  syncFromMainChat({ markEdited: false });
+  populateCharacterProfileTargets();
+  loadSessionSummary();
+  updateSummaryInjection();
+  console.log('[st-text-messaging] Chat changed, phone messages reloaded');
 }
 
 /**
@@ -411,11 +1024,30 @@ function registerSTEventListeners() {
     console.log('[st-text-messaging] Registered CHAT_CHANGED listener');
   }
 
-  // Also listen for message edits if available
+  // Count main chat turns for proactive texts
+  if (event_types.MESSAGE_RECEIVED) {
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMainChatMessageReceived);
+    console.log('[st-text-messaging] Registered MESSAGE_RECEIVED listener');
+  }
+
+  // Copy edits and swipes of 📱 messages to the phone
   if (event_types.MESSAGE_EDITED) {
-    eventSource.on(event_types.MESSAGE_EDITED, onMainChatMessageDeleted);
+    eventSource.on(event_types.MESSAGE_EDITED, onMainChatMessageEdited);
     console.log('[st-text-messaging] Registered MESSAGE_EDITED listener');
   }
+
+  if (event_types.MESSAGE_SWIPED) {
+    eventSource.on(event_types.MESSAGE_SWIPED, onMainChatMessageSwiped);
+    console.log('[st-text-messaging] Registered MESSAGE_SWIPED listener');
+  }
+
+  // A new swipe only has its text once it is generated
+  if (event_types.MESSAGE_RECEIVED) {
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMainChatMessageSwiped);
+  }
+
+  // Moves have no event; follow ST's move buttons instead
+  $(document).on("click", ".mes_edit_up, .mes_edit_down", onMainChatMessageMoved);
 }
 
 /**
@@ -494,6 +1126,49 @@ function onCustomPromptPreview() {
   toastr.info(`Showing ${useCustom ? 'custom' : intensity + ' preset'} prompt`);
 }
 
+/**
+ * Event handler: Raw generation toggle
+ */
+function onRawGenerationToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].rawGeneration = enabled;
+  saveSettings();
+}
+
+/**
+ * Event handler: Raw prompt template changed
+ * The default template is stored as empty, so it follows future updates
+ */
+function onRawPromptChange(event) {
+  const extension_settings = getSettingsStore();
+  const template = String($(event.target).val() || "");
+  extension_settings[extensionName].rawPrompt = template.trim() === getDefaultRawPrompt().trim() ? "" : template;
+  saveSettings();
+}
+
+/**
+ * Event handler: Reset raw prompt template to default
+ */
+function onRawPromptReset() {
+  const extension_settings = getSettingsStore();
+  extension_settings[extensionName].rawPrompt = "";
+  $("#raw_prompt_text").val(getDefaultRawPrompt());
+  saveSettings();
+
+  toastr.success('Raw prompt reset to default');
+}
+
+/**
+ * Event handler: Include main chat summary in raw prompts toggle
+ */
+function onRawIncludeSummaryToggle(event) {
+  const extension_settings = getSettingsStore();
+  const enabled = Boolean($(event.target).prop("checked"));
+  extension_settings[extensionName].rawIncludeSummary = enabled;
+  saveSettings();
+}
+
 /**
  * Registers extension with ST's wand/extensions menu for mobile access
  */
@@ -670,9 +1345,57 @@ jQuery(async () => {
     $("#group_show_character_names").on("input", onGroupShowCharacterNamesToggle);
     $("#group_color_code_characters").on("input", onGroupColorCodeCharactersToggle);
     $("#group_inherit_texting_style").on("input", onGroupInheritTextingStyleToggle);
+    $("#group_banter_enabled").on("input", onGroupBanterToggle);
+    $("#group_banter_rounds").on("change", onGroupBanterRoundsChange);
 
     // Context settings event listeners
     $("#context_message_count").on("change", onContextMessageCountChange);
+    $("#context_bridge_mode").on("change", onContextBridgeModeChange);
+    $("#context_token_budget").on("change", onContextTokenBudgetChange);
+    $("#mirror_mode").on("change", onMirrorModeChange);
+
+    // Reply generation event listeners
+    $("#stream_replies").on("input", onStreamRepliesToggle);
+    $("#phone_profile").on("focus", populatePhoneProfileOptions); // Profiles may have been added since load
+    $("#stream_replies").closest(".inline-drawer").find(".inline-drawer-toggle").on("click", updateStreamingStatus); // The main chat's profile may have changed
+    $("#phone_profile").on("change", onPhoneProfileChange);
+    $("#phone_preset").on("change", onPhonePresetChange);
+    $("#phone_max_tokens").on("change", onPhoneMaxTokensChange);
+    $("#split_replies").on("input", onSplitRepliesToggle);
+    $("#typing_speed").on("change", onTypingSpeedChange);
+    $("#max_reply_length").on("change", onMaxReplyLengthChange);
+    $("#reply_processor_list").on("input", ".reply-processor-enabled", onReplyProcessorToggle);
+    $("#reply_processor_list").on("click", ".reply-processor-move", onReplyProcessorMove);
+    $("#narration_mode").on("change", onNarrationModeChange);
+    $("#narration_unwrap_quotes").on("input", onNarrationUnwrapQuotesToggle);
+    $("#narration_retry").on("input", onNarrationRetryToggle);
+
+    // Raw generation event listeners
+    $("#raw_generation_enabled").on("input", onRawGenerationToggle);
+    $("#raw_prompt_text").on("input", onRawPromptChange);
+    $("#raw_prompt_reset").on("click", onRawPromptReset);
+    $("#raw_include_summary").on("input", onRawIncludeSummaryToggle);
+
+    // Proactive text event listeners
+    $("#proactive_enabled").on("input", onProactiveToggle);
+    $("#proactive_idle_minutes").on("change", onProactiveIdleMinutesChange);
+    $("#proactive_turns").on("change", onProactiveTurnsChange);
+
+    // World Info event listeners
+    $("#world_info_enabled").on("input", onWorldInfoToggle);
+    $("#phone_lorebook").on("change", onPhoneLorebookChange);
+
+    // Session summary event listeners
+    $("#summary_on_close").on("input", onSummaryOnCloseToggle);
+    $("#summary_depth").on("change", onSummaryDepthChange);
+    $("#session_summary_text").on("focus", loadSessionSummary); // May have been updated when the phone closed
+    $("#session_summary_text").on("change", onSessionSummaryChange);
+    $("#summary_now").on("click", onSummarizeNow);
+    $("#summary_clear").on("click", onSummaryClear);
+
+    // Per-character texting event listeners
+    $("#character_profile_target").on("change", loadCharacterProfile);
+    $("#character_profile_fields").on("change", "[data-profile-field]", onCharacterProfileFieldChange);
 
     console.log('[st-text-messaging] Event listeners registered');
 
@@ -687,8 +1410,15 @@ jQuery(async () => {
     // Register SillyTavern event listeners for sync
     registerSTEventListeners();
 
+    // A chat may already be open; later chats are loaded on CHAT_CHANGED
+    await loadPhoneStore();
+
+    // Let characters text first when idle (checks settings on each tick)
+    startProactiveMessaging();
+
     // Initialize prompt on load
     updateTextingPrompt();
+    updateSummaryInjection();
 
     // Register with ST's wand menu for mobile access (if enabled)
     const extension_settings = getSettingsStore();
@@ -0,0 +1,159 @@
+/**
+ * Availability Module
+ * Parses per-character availability schedules and checks them against the
+ * in-story clock
+ *
+ * Schedules are stored on the character card as text, one window per line:
+ *   Mon-Fri 09:00-17:00 At work
+ *   Daily 00:30-08:00 Asleep
+ *   Sat,Sun 22:00-02:00 Out with friends
+ * Days: Daily, Weekdays, Weekends, a day (Mon), a range (Mon-Fri) or a list (Sat,Sun).
+ * Windows that end before they start run past midnight into the next day.
+ */
+
+import { getCharacterTextingData } from "./character-settings.js";
+import { getStoryTime } from "./story-clock.js";
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+/**
+ * Parses a day specification into day indexes (0 = Sunday)
+ * @param {string} spec - e.g. "Mon-Fri", "Sat,Sun", "Daily"
+ * @returns {number[]|null} Day indexes, or null if not a day specification
+ */
+function parseDays(spec) {
+  const lower = spec.toLowerCase();
+  if (DAY_ALIASES[lower]) {
+    return DAY_ALIASES[lower];
+  }
+
+  const days = new Set();
+  for (const part of lower.split(',')) {
+    const [from, to] = part.split('-').map(d => DAY_NAMES.indexOf(d.slice(0, 3)));
+    if (from === -1 || to === -1) {
+      return null;
+    }
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    // Ranges may wrap around the week, e.g. Fri-Mon
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return [...days];
+}
+
+/**
+ * Parses "HH:MM" into minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes, or null if invalid
+ */
+function parseTime(time) {
+  const match = time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parses a schedule into availability windows
+ * Lines that can't be parsed are skipped
+ * @param {string} text - Schedule text, one window per line
+ * @returns {Array<{days: number[], start: number, end: number, label: string}>}
+ */
+export function parseSchedule(text) {
+  const windows = [];
+
+  for (const line of String(text || '').split('\n')) {
+    const match = line.trim().match(/^(\S+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const days = parseDays(match[1]);
+    const start = parseTime(match[2]);
+    const end = parseTime(match[3]);
+    if (!days || start === null || end === null || start === end) {
+      continue;
+    }
+
+    windows.push({ days, start, end, label: match[4].trim() || 'Unavailable' });
+  }
+
+  return windows;
+}
+
+/**
+ * Finds the window a moment falls in, with its actual start and end dates
+ * @param {Array} windows - Parsed windows (see parseSchedule)
+ * @param {Date} date - Moment to check
+ * @returns {{label: string, since: Date, until: Date}|null} Active window or null
+ */
+function findActiveWindow(windows, date) {
+  const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+  const midnight = new Date(date);
+  midnight.setHours(0, 0, 0, 0);
+
+  const at = (dayOffset, minutes) => {
+    const result = new Date(midnight);
+    result.setDate(result.getDate() + dayOffset);
+    result.setMinutes(minutes);
+    return result;
+  };
+
+  for (const window of windows) {
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    const overnight = window.end < window.start;
+
+    // Window that started today
+    if (window.days.includes(today) && minuteOfDay >= window.start
+      && (overnight || minuteOfDay < window.end)) {
+      return { label: window.label, since: at(0, window.start), until: at(overnight ? 1 : 0, window.end) };
+    }
+
+    // Overnight window that started yesterday
+    if (overnight && window.days.includes(yesterday) && minuteOfDay < window.end) {
+      return { label: window.label, since: at(-1, window.start), until: at(0, window.end) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks a character's availability at the current story time
+ * @param {Object} character - Character object
+ * @param {Date} [date] - Moment to check (defaults to the story clock)
+ * @returns {{available: boolean, label?: string, since?: Date, until?: Date}}
+ */
+export function getAvailability(character, date = getStoryTime()) {
+  const windows = parseSchedule(getCharacterTextingData(character).availability);
+  const active = findActiveWindow(windows, date);
+  return active ? { available: false, ...active } : { available: true };
+}
+
+/**
+ * Checks whether a character can answer texts right now
+ * @param {Object} character - Character object
+ * @returns {boolean} True if available
+ */
+export function isCharacterAvailable(character) {
+  return getAvailability(character).available;
+}
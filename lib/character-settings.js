@@ -0,0 +1,73 @@
+/**
+ * Character Settings Module
+ * Per-character texting options stored in the character card's extension
+ * data, so they travel with the card when it is exported or shared
+ */
+
+import { getContext } from "../../../../extensions.js";
+
+const extensionName = "st-text-messaging";
+
+/**
+ * Gets this extension's data from a character card
+ * @param {Object} character - Character object
+ * @returns {Object} Stored texting options (empty object if none)
+ */
+export function getCharacterTextingData(character) {
+  return character?.data?.extensions?.[extensionName] || {};
+}
+
+/**
+ * Gets a character's texting profile, with unset fields normalized
+ * Empty values mean "use the global setting"
+ * @param {Object} character - Character object
+ * @returns {{intensity: string, stylePrompt: string, capitalization: string, emojiPalette: string, typingSpeed: number|null, signOff: string}}
+ */
+export function getTextingProfile(character) {
+  const data = getCharacterTextingData(character);
+  const typingSpeed = parseInt(data.typingSpeed, 10);
+
+  return {
+    intensity: data.intensity || '',           // '', 'low', 'medium' or 'high'
+    stylePrompt: data.stylePrompt || '',       // Replaces the texting style prompt
+    capitalization: data.capitalization || '', // '', 'lowercase', 'proper' or 'caps'
+    emojiPalette: data.emojiPalette || '',     // Emoji the character favors
+    typingSpeed: Number.isNaN(typingSpeed) ? null : typingSpeed,
+    signOff: data.signOff || ''                // Signature added to the end of replies
+  };
+}
+
+/**
+ * Checks whether a character may send texts on their own (proactive texts)
+ * Characters are allowed unless switched off on their card
+ * @param {Object} character - Character object
+ * @returns {boolean} True if the character can text first
+ */
+export function canCharacterTextFirst(character) {
+  return getCharacterTextingData(character).textFirst !== false;
+}
+
+/**
+ * Merges new texting options into a character card and saves the card
+ * @param {Object} character - Character object
+ * @param {Object} changes - Options to set
+ * @returns {Promise<boolean>} True if the card was updated
+ */
+export async function updateCharacterTextingData(character, changes) {
+  const context = getContext();
+  const characterIndex = context.characters.findIndex(c => c.avatar === character?.avatar);
+
+  if (characterIndex === -1) {
+    console.warn('[character-settings] Character not found:', character?.name);
+    return false;
+  }
+
+  if (typeof context.writeExtensionField !== 'function') {
+    console.warn('[character-settings] writeExtensionField is not available');
+    return false;
+  }
+
+  const data = { ...getCharacterTextingData(context.characters[characterIndex]), ...changes };
+  await context.writeExtensionField(characterIndex, extensionName, data);
+  return true;
+}
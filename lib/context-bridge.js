@@ -4,10 +4,24 @@
  */
 
 import { getContext } from "../../../../extensions.js";
+import { generateReply } from "./generation.js";
+import { stripPhonePrefix } from "./message-store.js";
 
 // Extension name for settings lookup
 const extensionName = "st-text-messaging";
 
+const SCENE_SUMMARY_PROMPT = `You summarize the current scene of a story for someone about to text one of its characters. In a few sentences, say where everyone is, what is happening right now and anything recent the texts might refer to. Use the characters' names. Output only the summary.`;
+
+// Last scene summary, reused until the main chat changes
+let sceneSummaryCache = { key: null, text: '' };
+
+// Phone session whose texts go into one digest message (see startDigestSession)
+let digestSessionId = null;
+
+// Continuation lines of a multi-line text in a digest are indented by this,
+// so they can't be mistaken for the next text's "Name: " line
+const DIGEST_CONTINUATION = '  ';
+
 /**
  * Gets the extension settings
  * @returns {Object} Extension settings
@@ -18,8 +32,24 @@ function getExtensionSettings() {
   return settingsStore[extensionName] || {};
 }
 
+/**
+ * Gets the context bridge settings
+ * @returns {{mode: string, messageCount: number, tokenBudget: number}}
+ *   mode is 'lines' (recent messages), 'summary' (LLM scene summary) or 'off'
+ */
+function getBridgeSettings() {
+  const settings = getExtensionSettings();
+  return {
+    mode: settings.contextBridgeMode ?? 'lines',
+    messageCount: Number(settings.contextMessageCount ?? 10),
+    tokenBudget: Number(settings.contextTokenBudget ?? 500)
+  };
+}
+
 /**
  * Loads recent chat context for texting mode
+ * The phone's own mirrors are left out in every mirror mode (📱 messages,
+ * hidden ones and digests): the phone prompt already has its texts
  * @param {number} [messageCount] - Number of recent messages to load (uses setting if not provided)
  * @returns {Array} Array of recent message objects
  */
@@ -31,96 +61,399 @@ export function loadRecentChatContext(messageCount) {
   }
 
   // Use provided count, or fall back to settings, or default to 10
-  const settings = getExtensionSettings();
-  const count = messageCount ?? settings.contextMessageCount ?? 10;
+  const count = messageCount ?? getBridgeSettings().messageCount;
 
-  // Get last N messages from chat
-  const recentMessages = context.chat.slice(-count);
+  // Get last N narrative messages from chat
+  const recentMessages = context.chat
+    .filter(msg => !msg.extra?.isPhoneMessage && msg.mes)
+    .slice(-count);
 
   return recentMessages.map(msg => ({
     isUser: msg.is_user,
     text: msg.mes,
-    name: msg.name,
+    name: msg.name || (msg.is_user ? context.name1 : context.name2),
     timestamp: msg.send_date
   }));
 }
 
+/**
+ * Counts the tokens of a text with ST's tokenizer
+ * Falls back to an estimate of four characters per token
+ * @param {string} text - Text to count
+ * @returns {Promise<number>} Token count
+ */
+async function countTokens(text) {
+  const context = getContext();
+  try {
+    if (typeof context.getTokenCountAsync === 'function') {
+      return await context.getTokenCountAsync(text);
+    }
+  } catch (error) {
+    console.warn('[context-bridge] Token count failed, estimating:', error);
+  }
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Keeps the newest lines that fit in the token budget
+ * If even the newest line doesn't fit, its beginning is kept
+ * @param {string[]} lines - Lines, oldest first
+ * @param {number} budget - Token budget (0 = no limit)
+ * @returns {Promise<string[]>} Lines that fit, oldest first
+ */
+async function fitToTokenBudget(lines, budget) {
+  if (budget <= 0) {
+    return lines;
+  }
+
+  const kept = [];
+  let remaining = budget;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const tokens = await countTokens(lines[i]);
+    if (tokens <= remaining) {
+      kept.unshift(lines[i]);
+      remaining -= tokens;
+      continue;
+    }
+    if (kept.length === 0) {
+      const keepLength = Math.floor(lines[i].length * remaining / tokens);
+      kept.unshift(`${lines[i].slice(0, keepLength).trimEnd()}…`);
+    }
+    break;
+  }
+
+  return kept;
+}
+
+/**
+ * Asks the model for a summary of the current scene
+ * Reused until a new message arrives in the main chat
+ * @param {string[]} lines - Recent messages as "Name: text"
+ * @returns {Promise<string>} Scene summary (empty if generation failed)
+ */
+async function getSceneSummary(lines) {
+  const context = getContext();
+  const chatId = typeof context.getCurrentChatId === 'function' ? context.getCurrentChatId() : '';
+  const key = `${chatId}\n${lines.join('\n')}`;
+  if (sceneSummaryCache.key === key) {
+    return sceneSummaryCache.text;
+  }
+
+  try {
+    const prompt = `Recent story messages:\n${lines.join('\n')}\n\nSummarize the current scene.`;
+    const text = String(await generateReply(prompt, { systemPrompt: SCENE_SUMMARY_PROMPT }) || '').trim();
+    if (text) {
+      sceneSummaryCache = { key, text };
+    }
+    return text;
+  } catch (error) {
+    console.error('[context-bridge] Scene summary failed:', error);
+    return '';
+  }
+}
+
+/**
+ * Loads what is happening in the main chat: the recent messages within the
+ * token budget, or a scene summary written by the model
+ * @returns {Promise<{text: string, isSummary: boolean}>} Scene context (empty text if off or the chat is empty)
+ */
+async function loadSceneContext() {
+  const { mode, tokenBudget } = getBridgeSettings();
+  if (mode === 'off') {
+    return { text: '', isSummary: false };
+  }
+
+  const lines = loadRecentChatContext().map(msg => `${msg.name}: ${msg.text}`);
+  if (lines.length === 0) {
+    return { text: '', isSummary: false };
+  }
+
+  if (mode === 'summary') {
+    const summary = await getSceneSummary(lines);
+    if (summary) {
+      return { text: summary, isSummary: true };
+    }
+    console.log('[context-bridge] No scene summary, using recent messages');
+  }
+
+  return { text: (await fitToTokenBudget(lines, tokenBudget)).join('\n'), isSummary: false };
+}
+
+/**
+ * Gets what is happening in the main chat, for phone prompts
+ * @returns {Promise<string>} Recent messages or scene summary (empty if off or the chat is empty)
+ */
+export async function getSceneContext() {
+  return (await loadSceneContext()).text;
+}
+
+/**
+ * Gets the latest summary of the main chat written by ST's Summarize extension
+ * @returns {string} Summary text, or empty string if the chat has none
+ */
+export function getMainChatSummary() {
+  const context = getContext();
+  const chat = context.chat || [];
+
+  for (let i = chat.length - 1; i >= 0; i--) {
+    const memory = chat[i].extra?.memory;
+    if (typeof memory === 'string' && memory.trim()) {
+      return memory.trim();
+    }
+  }
+
+  return '';
+}
+
 /**
  * Builds context bridge prompt for texting mode activation
- * Summarizes recent chat conversation to provide context
- * @returns {string} Context summary prompt
+ * Gives the texts the story so far: recent messages or a scene summary
+ * @returns {Promise<string>} Context summary prompt
  */
-export function buildContextBridgePrompt() {
-  // Uses settings-based count from loadRecentChatContext
-  const recentMessages = loadRecentChatContext();
+export async function buildContextBridgePrompt() {
+  const scene = await loadSceneContext();
 
-  if (recentMessages.length === 0) {
+  if (!scene.text) {
     return "Start a new text conversation.";
   }
 
-  let contextSummary = "RECENT CONVERSATION CONTEXT:\n";
+  const heading = scene.isSummary ? "CURRENT SCENE:" : "RECENT CONVERSATION CONTEXT:";
+  return `${heading}\n${scene.text}\n\nNow continue this conversation via text message in first-person.`;
+}
+
+/**
+ * Gets how phone messages are mirrored into the main chat
+ * @returns {string} 'full' (visible 📱 messages), 'hidden' (hidden from the
+ *   prompt like ST's hidden messages), 'digest' (one collapsible message per
+ *   texting session) or 'none'
+ */
+export function getMirrorMode() {
+  return getExtensionSettings().mirrorMode ?? 'full';
+}
+
+/**
+ * Starts a new phone session: texts from now on go into a new digest message
+ * Called when the phone opens
+ */
+export function startDigestSession() {
+  digestSessionId = `session-${Date.now().toString(36)}`;
+}
+
+/**
+ * Ends the phone session; the session's digest gets no more texts
+ * Called when the phone closes
+ */
+export function endDigestSession() {
+  digestSessionId = null;
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes a digest message's text from its entries
+ * The message text, which goes into prompts, is plain "Name: text" lines in
+ * the order of extra.phoneMessages; that order is what maps lines to texts.
+ * The chat shows a collapsible block instead (extra.display_text), with the
+ * texts escaped
+ * @param {Object} message - Digest message
+ */
+function renderDigest(message) {
+  const entries = message.extra.phoneMessages;
+  const heading = `📱 Text messages (${entries.length})`;
+
+  message.mes = [
+    `${heading}:`,
+    ...entries.map(entry => `${entry.name}: ${entry.text.split('\n').join(`\n${DIGEST_CONTINUATION}`)}`)
+  ].join('\n');
 
-  recentMessages.forEach(msg => {
-    const speaker = msg.isUser ? "{{user}}" : "{{char}}";
-    // Truncate long messages
-    const text = msg.text.length > 100
-      ? msg.text.substring(0, 100) + "..."
-      : msg.text;
-    contextSummary += `- ${speaker}: ${text}\n`;
+  const lines = entries.map(entry => `<b>${escapeHtml(entry.name)}:</b> ${escapeHtml(entry.text).replace(/\n/g, '<br>')}`);
+  message.extra.display_text = `<details><summary>${heading}</summary>${lines.join('<br>')}</details>`;
+}
+
+/**
+ * Reads the texts of a digest message back, after it may have been edited
+ * in the main chat. Each text starts on a line with its sender's name, in
+ * the order of extra.phoneMessages, and runs until the next one. If the
+ * lines no longer match the texts, the stored texts are kept
+ * @param {Object} message - Digest message
+ * @returns {Array<{id: string, text: string}>} Texts in the digest
+ */
+function readDigestTexts(message) {
+  const entries = message.extra.phoneMessages || [];
+  const texts = [];
+
+  for (const line of String(message.mes || '').split('\n')) {
+    const next = entries[texts.length];
+    if (next && line.startsWith(`${next.name}: `)) {
+      texts.push(line.slice(next.name.length + 2));
+    } else if (texts.length > 0) {
+      const continuation = line.startsWith(DIGEST_CONTINUATION) ? line.slice(DIGEST_CONTINUATION.length) : line;
+      texts[texts.length - 1] += `\n${continuation}`;
+    }
+  }
+
+  if (texts.length !== entries.length) {
+    console.warn('[st-text-messaging] Digest lines no longer match its texts, keeping the stored texts');
+    return entries.map(entry => ({ id: entry.id, text: entry.text }));
+  }
+
+  return entries.map((entry, i) => ({ id: entry.id, text: texts[i].trim() }));
+}
+
+/**
+ * Stores texts edited in a digest message on its entries, so rebuilding the
+ * digest keeps them
+ * @param {Object} message - Digest message
+ * @returns {boolean} True if an entry changed
+ */
+function storeDigestEdits(message) {
+  const texts = readDigestTexts(message);
+  let changed = false;
+  message.extra.phoneMessages.forEach((entry, i) => {
+    if (entry.text !== texts[i].text) {
+      entry.text = texts[i].text;
+      changed = true;
+    }
   });
+  return changed;
+}
 
-  contextSummary += "\nNow continue this conversation via text message in first-person.";
+/**
+ * Stores the texts edited in every digest message of the main chat and
+ * shows the edits in their collapsible blocks
+ * Part of syncing main chat edits to the phone
+ * @returns {Promise<boolean>} True if an entry changed (the chat is saved then)
+ */
+export async function syncDigestEdits() {
+  const context = getContext();
+  const changed = [];
+  (context.chat || []).forEach((msg, index) => {
+    if (msg.extra?.isPhoneDigest && storeDigestEdits(msg)) {
+      renderDigest(msg);
+      changed.push(index);
+    }
+  });
 
-  return contextSummary;
+  if (changed.length === 0) {
+    return false;
+  }
+
+  await context.saveChat();
+  for (const index of changed) {
+    await refreshMainChatMessage(index);
+  }
+  return true;
 }
 
 /**
- * Summarizes texting conversation for injection back into main chat
- * @param {Array} messages - Array of phone messages
- * @returns {string} Summary of texting conversation
+ * Gets the phone messages mirrored in the main chat, with their text as it
+ * is there now (edited or swiped), without the 📱 prefix
+ * @returns {Array<{id: string, text: string}>} Mirrored texts, in chat order
  */
-export function summarizeTextingConversation(messages) {
-  if (!messages || messages.length === 0) {
-    return "nothing significant";
-  }
-
-  // Extract key topics/themes from messages
-  const topics = [];
-
-  messages.forEach(msg => {
-    // Skip very short messages (reactions, emojis only)
-    if (msg.text && msg.text.length > 20) {
-      // Take first part of substantive messages
-      const snippet = msg.text.substring(0, 60).trim();
-      if (snippet && !topics.includes(snippet)) {
-        topics.push(snippet);
-      }
+export function getMainChatMirrors() {
+  const context = getContext();
+  const mirrors = [];
+
+  (context.chat || []).forEach(msg => {
+    if (msg.extra?.isPhoneDigest) {
+      mirrors.push(...readDigestTexts(msg));
+    } else if (msg.extra?.isPhoneMessage && msg.extra.phoneMessageId) {
+      mirrors.push({ id: msg.extra.phoneMessageId, text: stripPhonePrefix(msg.mes).trim() });
     }
   });
 
-  // Return concise summary
-  if (topics.length === 0) {
-    return "brief casual conversation";
+  return mirrors;
+}
+
+/**
+ * Shows a changed main chat message without reloading the whole chat when possible
+ * @param {number} index - Index of the message in the chat array
+ */
+async function refreshMainChatMessage(index) {
+  const context = getContext();
+  if (typeof context.updateMessageBlock === 'function') {
+    context.updateMessageBlock(index, context.chat[index]);
+  } else if (typeof context.reloadCurrentChat === 'function') {
+    await context.reloadCurrentChat();
+  }
+}
+
+/**
+ * Adds a phone message to the phone session's digest message, starting the
+ * digest with the session's first text
+ * Texts sent while the phone is closed share a session until it opens
+ * @param {Object} entry - Digest entry ({id, name, text, isUser})
+ * @returns {Promise<number>} Index of the digest message in chat array
+ */
+async function addMessageToDigest(entry) {
+  const context = getContext();
+  if (!digestSessionId) {
+    startDigestSession();
   }
 
-  return topics.slice(0, 3).join("; ");
+  const digestIndex = context.chat.findLastIndex(msg => msg.extra?.isPhoneDigest && msg.extra.phoneSessionId === digestSessionId);
+  if (digestIndex !== -1) {
+    const digest = context.chat[digestIndex];
+    storeDigestEdits(digest);
+    digest.extra.phoneMessages.push(entry);
+    renderDigest(digest);
+    await context.saveChat();
+    await refreshMainChatMessage(digestIndex);
+    return digestIndex;
+  }
+
+  const message = {
+    name: 'Phone',
+    is_user: false,
+    mes: '',
+    send_date: Date.now(),
+    extra: {
+      type: 'narrator', // Shown like ST's system narrator messages
+      isPhoneMessage: true,
+      isPhoneDigest: true,
+      phoneSessionId: digestSessionId,
+      phoneMessages: [entry]
+    }
+  };
+  renderDigest(message);
+
+  context.chat.push(message);
+  await context.saveChat();
+  if (typeof context.addOneMessage === 'function') {
+    await context.addOneMessage(message);
+  }
+  return context.chat.length - 1;
 }
 
 /**
  * Adds a phone message to the main SillyTavern chat
- * This keeps the main chat in sync with phone conversations
+ * This keeps the main chat in sync with phone conversations, as set by the
+ * mirror mode (see getMirrorMode)
  * @param {string} text - Message text
  * @param {boolean} isUser - Whether this is a user message
  * @param {string} [characterName] - Optional character name (for group chats)
- * @param {number} [phoneMessageId] - Optional phone message ID for linking
+ * @param {string} [phoneMessageId] - Optional phone message ID for linking
  * @param {string} [avatarUrl] - Optional avatar URL (used for correct avatar in groups with duplicate names)
- * @returns {number} Index of the added message in chat array
+ * @returns {number} Index of the added message in chat array (-1 if not mirrored)
  */
 export async function addMessageToMainChat(text, isUser, characterName = null, phoneMessageId = null, avatarUrl = null) {
   const context = getContext();
+  const mirrorMode = getMirrorMode();
 
-  // Format as a text message in the main chat (avoid double emoji)
-  const formattedText = text.startsWith('📱') ? text : `📱 ${text}`;
+  if (mirrorMode === 'none') {
+    return -1;
+  }
 
   // Determine the sender name
   // For groups, use the provided character name; otherwise fall back to context
@@ -131,6 +464,16 @@ export async function addMessageToMainChat(text, isUser, characterName = null, p
     senderName = characterName || context.name2;
   }
 
+  if (mirrorMode === 'digest') {
+    const index = await addMessageToDigest({ id: phoneMessageId, name: senderName, text, isUser });
+    console.log('[st-text-messaging] Added phone message to main chat digest:', isUser ? 'user' : senderName);
+    return index;
+  }
+
+  // Format as a text message in the main chat. Always prefixed, so that
+  // stripPhonePrefix gives back the exact text, even one starting with 📱
+  const formattedText = `📱 ${text}`;
+
   // Use provided avatar URL directly (handles duplicate character names correctly)
   // Fall back to name-based lookup only if no URL provided
   let forceAvatar = avatarUrl || null;
@@ -144,6 +487,7 @@ export async function addMessageToMainChat(text, isUser, characterName = null, p
   const message = {
     name: senderName,
     is_user: isUser,
+    is_system: mirrorMode === 'hidden', // Hidden from the prompt, like ST's /hide
     mes: formattedText,
     send_date: Date.now(),
     force_avatar: forceAvatar, // ST uses this to display correct avatar in groups
@@ -172,7 +516,8 @@ export async function addMessageToMainChat(text, isUser, characterName = null, p
 
 /**
  * Finds a message in main chat by phone message ID
- * @param {number} phoneMessageId - Phone message ID to find
+ * Digest messages are found by any of the texts they hold
+ * @param {string} phoneMessageId - Phone message ID to find
  * @returns {number} Index of message in chat array, or -1 if not found
  */
 export function findMainChatMessageIndex(phoneMessageId) {
@@ -180,17 +525,20 @@ export function findMainChatMessageIndex(phoneMessageId) {
   if (!context.chat) return -1;
 
   return context.chat.findIndex(msg =>
-    msg.extra?.phoneMessageId === phoneMessageId
+    msg.extra?.phoneMessageId === phoneMessageId ||
+    (msg.extra?.isPhoneDigest && msg.extra.phoneMessages?.some(entry => entry.id === phoneMessageId))
   );
 }
 
 /**
  * Edits a message in the main SillyTavern chat
- * @param {number} phoneMessageId - Phone message ID to find and edit
+ * @param {string} phoneMessageId - Phone message ID to find and edit
  * @param {string} newText - New message text
+ * @param {Object} [options] - Edit options
+ * @param {boolean} [options.markEdited] - Flag the message as edited (false when switching swipes)
  * @returns {boolean} True if edited successfully
  */
-export async function editMessageInMainChat(phoneMessageId, newText) {
+export async function editMessageInMainChat(phoneMessageId, newText, { markEdited = true } = {}) {
   const context = getContext();
   const index = findMainChatMessageIndex(phoneMessageId);
 
@@ -199,18 +547,37 @@ export async function editMessageInMainChat(phoneMessageId, newText) {
     return false;
   }
 
-  // Format the new text with phone emoji
-  const formattedText = newText.startsWith('📱') ? newText : `📱 ${newText}`;
+  const chatMessage = context.chat[index];
+
+  // Digests: update the text in the block
+  if (chatMessage.extra?.isPhoneDigest) {
+    storeDigestEdits(chatMessage);
+    const entry = chatMessage.extra.phoneMessages.find(e => e.id === phoneMessageId);
+    entry.text = newText;
+    if (markEdited) {
+      entry.edited = true;
+    }
+    renderDigest(chatMessage);
+    await context.saveChat();
+    await refreshMainChatMessage(index);
+    console.log('[st-text-messaging] Edited message in main chat digest:', phoneMessageId);
+    return true;
+  }
+
+  // Format the new text with phone emoji (see addMessageToMainChat)
+  const formattedText = `📱 ${newText}`;
 
   // Update the message text
-  context.chat[index].mes = formattedText;
+  chatMessage.mes = formattedText;
 
   // Mark as edited in extra data
-  if (!context.chat[index].extra) {
-    context.chat[index].extra = {};
+  if (!chatMessage.extra) {
+    chatMessage.extra = {};
+  }
+  if (markEdited) {
+    chatMessage.extra.edited = true;
+    chatMessage.extra.editedAt = Date.now();
   }
-  context.chat[index].extra.edited = true;
-  context.chat[index].extra.editedAt = Date.now();
 
   // Save the chat
   await context.saveChat();
@@ -226,7 +593,8 @@ export async function editMessageInMainChat(phoneMessageId, newText) {
 
 /**
  * Deletes a message from the main SillyTavern chat
- * @param {number} phoneMessageId - Phone message ID to find and delete
+ * A text in a digest is removed from it; the digest goes with its last text
+ * @param {string} phoneMessageId - Phone message ID to find and delete
  * @returns {boolean} True if deleted successfully
  */
 export async function deleteMessageFromMainChat(phoneMessageId) {
@@ -238,6 +606,17 @@ export async function deleteMessageFromMainChat(phoneMessageId) {
     return false;
   }
 
+  const chatMessage = context.chat[index];
+  if (chatMessage.extra?.isPhoneDigest && chatMessage.extra.phoneMessages.length > 1) {
+    storeDigestEdits(chatMessage);
+    chatMessage.extra.phoneMessages = chatMessage.extra.phoneMessages.filter(e => e.id !== phoneMessageId);
+    renderDigest(chatMessage);
+    await context.saveChat();
+    await refreshMainChatMessage(index);
+    console.log('[st-text-messaging] Deleted message from main chat digest:', phoneMessageId);
+    return true;
+  }
+
   // Remove the message from chat array
   context.chat.splice(index, 1);
 
@@ -253,38 +632,6 @@ export async function deleteMessageFromMainChat(phoneMessageId) {
   return true;
 }
 
-/**
- * Injects texting summary into main chat for context continuity (legacy)
- * @param {string} summary - Summary of texting conversation
- * @param {boolean} visible - Whether to show as visible message (default: false)
- */
-export async function injectTextingSummaryIntoChat(summary, visible = false) {
-  // This function is now mostly unused since we sync messages in real-time
-  // Keeping for potential future use or narrative transitions
-  if (!summary || summary === "nothing significant") {
-    return;
-  }
-
-  const context = getContext();
-
-  if (visible) {
-    const narrativeMessage = {
-      name: context.name2,
-      is_user: false,
-      mes: `*After a brief text conversation about ${summary}, ${context.name2} puts down the phone.*`,
-      send_date: Date.now()
-    };
-    context.chat.push(narrativeMessage);
-    await context.saveChat();
-
-    if (typeof context.addOneMessage === 'function') {
-      await context.addOneMessage(narrativeMessage);
-    }
-  }
-
-  console.log('[st-text-messaging] Context summary injected into chat:', summary);
-}
-
 /**
  * Gets the current character's name
  * @returns {string} Character name or "Character"
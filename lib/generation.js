@@ -0,0 +1,508 @@
+/**
+ * Generation Module
+ * Sends phone reply prompts to the LLM, either as a single quiet prompt or
+ * streamed token by token through SillyTavern's Connection Manager. Raw
+ * generations send only the phone's own prompts, without the main chat's
+ *
+ * Phone replies can use their own connection profile, completion preset and
+ * token limit. Quiet prompts switch ST to them for the length of one reply
+ * and switch the main chat's connection and preset back afterwards; streamed
+ * replies send them with the request
+ */
+
+import { getContext, extension_settings } from "../../../../extensions.js";
+import { loadRecentChatContext } from "./context-bridge.js";
+
+const extensionName = "st-text-messaging";
+const STREAM_MAX_TOKENS = 300; // Streamed reply limit when no phone token limit is set
+const NO_PROFILE = '<None>'; // What /profile returns when no profile is selected
+
+// ST's extension_prompt_types, and extension_prompt_roles by value
+const EXTENSION_PROMPT_TYPES = { IN_PROMPT: 0, IN_CHAT: 1, BEFORE_PROMPT: 2 };
+const EXTENSION_PROMPT_ROLES = ['system', 'user', 'assistant'];
+
+let activeAbortController = null; // Set while a streamed reply is in flight
+let isGenerating = false;
+let streamingFallbackShown = false; // The "can't stream" notice is shown once per session
+
+/**
+ * Checks what keeps replies from being streamed
+ * Streaming needs the Connection Manager request service and a selected profile
+ * @returns {string} Reason to show the user (empty if replies can be streamed)
+ */
+export function getStreamingUnavailableReason() {
+  const context = getContext();
+  if (typeof context.ConnectionManagerRequestService?.sendRequest !== 'function') {
+    return 'Streaming needs the Connection Manager, which this SillyTavern version does not have';
+  }
+  if (!getPhoneProfileId() && !getSelectedProfileId()) {
+    return 'Streaming needs a Connection Manager profile: select one for the main chat or for phone replies';
+  }
+  return '';
+}
+
+/**
+ * Checks whether streamed replies are enabled and supported by this ST build
+ * @returns {boolean} True if replies can be streamed
+ */
+export function isStreamingAvailable() {
+  const settings = extension_settings[extensionName] || {};
+  return (settings.streamReplies ?? false) && !getStreamingUnavailableReason();
+}
+
+/**
+ * Tells the user once per session that replies are not streamed although
+ * streaming is enabled
+ */
+function notifyStreamingFallback() {
+  const settings = extension_settings[extensionName] || {};
+  const reason = getStreamingUnavailableReason();
+  if (!(settings.streamReplies ?? false) || !reason || streamingFallbackShown) {
+    return;
+  }
+
+  streamingFallbackShown = true;
+  console.warn(`[generation] ${reason}; generating without streaming`);
+  toastr.warning(`${reason}. Phone replies are generated without streaming.`);
+}
+
+/**
+ * Gets the phone generation settings
+ * @returns {{profileId: string, preset: string, maxTokens: number}} Empty or 0 means "same as the main chat"
+ */
+function getPhoneGenerationSettings() {
+  const settings = extension_settings[extensionName] || {};
+  return {
+    profileId: settings.phoneProfileId || '',
+    preset: String(settings.phonePreset || '').trim(),
+    maxTokens: Number(settings.phoneMaxTokens) || 0
+  };
+}
+
+/**
+ * Lists the Connection Manager profiles
+ * @returns {Array<{id: string, name: string}>} Profiles (empty without the Connection Manager)
+ */
+export function getConnectionProfiles() {
+  const context = getContext();
+  const profiles = context.extensionSettings?.connectionManager?.profiles;
+  return Array.isArray(profiles) ? profiles.filter(p => p?.id && p?.name) : [];
+}
+
+/**
+ * Gets the profile chosen for phone replies, if it still exists
+ * @returns {string|null} Profile ID or null to use the main chat's connection
+ */
+function getPhoneProfileId() {
+  const { profileId } = getPhoneGenerationSettings();
+  return getConnectionProfiles().some(p => p.id === profileId) ? profileId : null;
+}
+
+/**
+ * Gets the Connection Manager profile currently selected in ST
+ * @returns {string|null} Profile ID or null if none is selected
+ */
+function getSelectedProfileId() {
+  const context = getContext();
+  return context.extensionSettings?.connectionManager?.selectedProfile || null;
+}
+
+/**
+ * Quotes a value for a slash command, so names with spaces, quotes or pipes
+ * are passed as they are
+ * Macros would still be replaced inside the quotes, so values with {{ are refused
+ * @param {string} value - Value to pass
+ * @returns {string} Quoted value
+ */
+function quoteSlashArgument(value) {
+  const text = String(value);
+  if (text.includes('{{')) {
+    throw new Error(`"${text}" can't be passed to a slash command`);
+  }
+  return `"${text.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Runs a slash command and returns its result
+ * @param {string} command - Command with its named arguments
+ * @param {string|null} [value] - Unnamed argument, quoted before it is added
+ * @returns {Promise<string>} Piped result of the command
+ */
+async function runSlashCommand(command, value = null) {
+  const context = getContext();
+  const execute = context.executeSlashCommandsWithOptions ?? context.executeSlashCommands;
+  if (typeof execute !== 'function') {
+    throw new Error('SillyTavern slash commands are not available');
+  }
+
+  const result = await execute(value === null ? command : `${command} ${quoteSlashArgument(value)}`);
+  if (result?.isError) {
+    throw new Error(result.errorMessage || `${command} failed`);
+  }
+  return String(result?.pipe ?? '');
+}
+
+/**
+ * Gets the name of the completion preset ST is using
+ * Reads it from ST's preset manager, or with /preset on builds without one
+ * @returns {Promise<string>} Preset name
+ */
+async function getSelectedPresetName() {
+  const presetManager = getContext().getPresetManager?.();
+  return presetManager
+    ? String(presetManager.getSelectedPresetName() ?? '')
+    : await runSlashCommand('/preset');
+}
+
+/**
+ * Selects a completion preset by name
+ * Uses ST's preset manager, or /preset on builds without one
+ * @param {string} name - Preset name
+ */
+async function selectPreset(name) {
+  const presetManager = getContext().getPresetManager?.();
+  if (!presetManager) {
+    await runSlashCommand('/preset', name);
+    return;
+  }
+
+  const preset = presetManager.findPreset(name);
+  if (preset === undefined || preset === null) {
+    throw new Error(`Preset "${name}" not found`);
+  }
+  presetManager.selectPreset(preset);
+}
+
+/**
+ * Checks whether phone prompts are built from scratch instead of being
+ * layered on the main chat's prompt
+ * @returns {boolean} True if raw generation is enabled
+ */
+export function isRawGenerationEnabled() {
+  const settings = extension_settings[extensionName] || {};
+  return settings.rawGeneration ?? false;
+}
+
+/**
+ * Switches ST to the phone's profile and preset
+ * When the main chat has no profile to load back, its API, model and preset
+ * are recorded instead
+ * Main chat values are recorded as soon as they are replaced, so they can be
+ * restored even if a later switch fails
+ * @param {{profile: string|null, api: string|null, model: string|null, preset: string|null}} previous - Receives the main chat values to restore
+ */
+async function applyPhoneGenerationSettings(previous) {
+  const { preset } = getPhoneGenerationSettings();
+  const phoneProfileId = getPhoneProfileId();
+  const switchProfile = Boolean(phoneProfileId) && phoneProfileId !== getSelectedProfileId();
+
+  // Read first: loading a profile also loads its own preset
+  const mainPreset = preset || switchProfile ? await getSelectedPresetName() : '';
+
+  if (switchProfile) {
+    const mainProfile = await runSlashCommand('/profile');
+    if (mainProfile && mainProfile !== NO_PROFILE) {
+      previous.profile = mainProfile;
+    } else {
+      previous.api = await runSlashCommand('/api');
+      previous.model = await runSlashCommand('/model');
+      previous.preset = mainPreset || null;
+    }
+    const phoneProfile = getConnectionProfiles().find(p => p.id === phoneProfileId);
+    await runSlashCommand('/profile await=true', phoneProfile.name);
+  }
+
+  if (preset && preset !== await getSelectedPresetName()) {
+    previous.preset = mainPreset || null;
+    await selectPreset(preset);
+  }
+}
+
+/**
+ * Switches ST back to the main chat's profile, or its API and model, and preset
+ * The connection goes first, because loading a profile also loads its own preset
+ * Every step is tried even if one fails; the user is told what wasn't restored
+ * @param {{profile: string|null, api: string|null, model: string|null, preset: string|null}} previous - Values recorded by applyPhoneGenerationSettings
+ */
+async function restoreMainGenerationSettings(previous) {
+  const steps = [
+    ['profile', previous.profile, () => runSlashCommand('/profile await=true', previous.profile)],
+    ['API', previous.api, async () => {
+      await runSlashCommand('/profile', NO_PROFILE);
+      await runSlashCommand('/api', previous.api);
+    }],
+    ['model', previous.model, () => runSlashCommand('/model', previous.model)],
+    ['preset', previous.preset, () => selectPreset(previous.preset)]
+  ];
+
+  const failed = [];
+  for (const [label, value, restore] of steps) {
+    if (!value) continue;
+    try {
+      await restore();
+    } catch (error) {
+      console.error(`[generation] Could not restore the main chat ${label}:`, error);
+      failed.push(`${label} "${value}"`);
+    }
+  }
+
+  if (failed.length > 0) {
+    toastr.error(`Could not switch the main chat back after a phone reply. Please select its ${failed.join(', ')} again.`);
+  }
+}
+
+/**
+ * Runs a generation with the phone's profile and preset, then switches the
+ * main chat's back
+ * @param {Function} callback - Async function that generates
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withPhoneGenerationSettings(callback) {
+  const previous = { profile: null, api: null, model: null, preset: null };
+  try {
+    await applyPhoneGenerationSettings(previous);
+    return await callback();
+  } finally {
+    await restoreMainGenerationSettings(previous);
+  }
+}
+
+/**
+ * Gets the extension prompts that apply to the next generation
+ * (texting prompt, session summary, Author's Note and other extensions')
+ * @returns {Promise<Array<{value: string, position: number, depth: number, role: number}>>} Prompts with text
+ */
+async function getActiveExtensionPrompts() {
+  const prompts = Object.values(getContext().extensionPrompts || {});
+  const active = [];
+  for (const prompt of prompts) {
+    if (!prompt?.value || typeof prompt.value !== 'string') continue;
+    if (typeof prompt.filter === 'function' && !(await prompt.filter())) continue;
+    active.push(prompt);
+  }
+  return active;
+}
+
+/**
+ * Builds the chat messages sent for a streamed reply
+ * Quiet prompts are built by ST's own prompt builder; streamed requests
+ * bypass it, so the parts it would add are added here: the character card,
+ * extension prompts at their position and depth, and the recent main chat
+ * (as many messages as the context bridge reads). World Info is not included.
+ * Raw prompts bring their own system prompt instead
+ * @param {string} quietPrompt - Phone reply instruction with conversation history
+ * @param {string|null} [rawSystemPrompt] - System prompt of a raw generation
+ * @returns {Promise<Array<{role: string, content: string}>>} Chat completion messages
+ */
+async function buildStreamingMessages(quietPrompt, rawSystemPrompt = null) {
+  const context = getContext();
+  const substitute = typeof context.substituteParams === 'function'
+    ? context.substituteParams
+    : (text) => text;
+
+  if (rawSystemPrompt !== null) {
+    return [
+      ...(rawSystemPrompt ? [{ role: 'system', content: substitute(rawSystemPrompt) }] : []),
+      { role: 'user', content: substitute(quietPrompt) }
+    ];
+  }
+
+  const fields = typeof context.getCharacterCardFields === 'function'
+    ? context.getCharacterCardFields()
+    : {};
+  const extensionPrompts = await getActiveExtensionPrompts();
+  const promptsAt = (position) => extensionPrompts.filter(p => p.position === position).map(p => p.value);
+
+  const systemPrompt = [
+    ...promptsAt(EXTENSION_PROMPT_TYPES.BEFORE_PROMPT),
+    fields.system,
+    fields.description,
+    fields.personality,
+    fields.scenario,
+    fields.persona,
+    ...promptsAt(EXTENSION_PROMPT_TYPES.IN_PROMPT)
+  ].filter(Boolean).join('\n\n');
+
+  const chat = loadRecentChatContext().map(msg => ({
+    role: msg.isUser ? 'user' : 'assistant',
+    content: `${msg.name}: ${msg.text}`
+  }));
+
+  // In-chat prompts go depth messages from the end of the chat, like in
+  // ST's prompt; the phone's instruction comes after them
+  extensionPrompts
+    .filter(p => p.position === EXTENSION_PROMPT_TYPES.IN_CHAT)
+    .sort((a, b) => (b.depth ?? 0) - (a.depth ?? 0)) // Deepest first, so depths count chat messages only
+    .forEach(prompt => {
+      const index = Math.max(0, chat.length - Math.max(0, Number(prompt.depth) || 0));
+      chat.splice(index, 0, { role: EXTENSION_PROMPT_ROLES[prompt.role] ?? 'system', content: prompt.value });
+    });
+  chat.push({ role: 'user', content: quietPrompt });
+
+  const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }, ...chat] : chat;
+  return messages.map(message => ({ ...message, content: substitute(message.content) }));
+}
+
+/**
+ * Generates a complete reply with ST's quiet prompt, using the phone's
+ * profile, preset and token limit when set
+ * @param {string} quietPrompt - Phone reply instruction with conversation history
+ * @returns {Promise<string>} Generated text
+ */
+async function generateQuietReply(quietPrompt) {
+  const context = getContext();
+
+  if (typeof context.generateQuietPrompt !== 'function') {
+    throw new Error('SillyTavern context.generateQuietPrompt is not available');
+  }
+
+  const { maxTokens } = getPhoneGenerationSettings();
+  return await withPhoneGenerationSettings(() => context.generateQuietPrompt({
+    quietPrompt,
+    ...(maxTokens > 0 ? { responseLength: maxTokens } : {})
+  }));
+}
+
+/**
+ * Generates a complete reply from a prompt built from scratch, without the
+ * main chat's system prompt, history or extension prompts
+ * @param {string} prompt - Reply instruction
+ * @param {string} systemPrompt - Texting system prompt with the phone history
+ * @returns {Promise<string>} Generated text
+ */
+async function generateRawReply(prompt, systemPrompt) {
+  const context = getContext();
+
+  if (typeof context.generateRaw !== 'function') {
+    throw new Error('SillyTavern context.generateRaw is not available');
+  }
+
+  const { maxTokens } = getPhoneGenerationSettings();
+  return await withPhoneGenerationSettings(() => context.generateRaw({
+    prompt,
+    systemPrompt,
+    ...(maxTokens > 0 ? { responseLength: maxTokens } : {})
+  }));
+}
+
+/**
+ * Runs a Connection Manager request with the phone preset in place of the
+ * profile's own. The request service reads the preset from the stored
+ * profile while it builds the request, so the profile's value is swapped for
+ * that long and put back right after
+ * @param {string} profileId - Profile the request is sent with
+ * @param {Function} callback - Async function that sends the request
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withPhonePresetOnProfile(profileId, callback) {
+  const { preset } = getPhoneGenerationSettings();
+  const profile = getConnectionProfiles().find(p => p.id === profileId);
+  if (!preset || !profile || profile.preset === preset) {
+    return await callback();
+  }
+
+  const profilePreset = profile.preset;
+  profile.preset = preset;
+  try {
+    return await callback();
+  } finally {
+    profile.preset = profilePreset;
+  }
+}
+
+/**
+ * Streams a reply through the Connection Manager
+ * Uses the phone's profile and preset directly, so nothing has to be
+ * switched back
+ * Resolves with the text received so far if the stream is stopped
+ * @param {string} quietPrompt - Phone reply instruction with conversation history
+ * @param {Function} onToken - Called with the accumulated text after each chunk
+ * @param {string|null} [rawSystemPrompt] - System prompt of a raw generation
+ * @returns {Promise<string>} Generated (possibly partial) text
+ */
+async function streamReply(quietPrompt, onToken, rawSystemPrompt = null) {
+  const context = getContext();
+  const abortController = new AbortController();
+  activeAbortController = abortController;
+
+  const { maxTokens } = getPhoneGenerationSettings();
+  let text = '';
+  try {
+    const profileId = getPhoneProfileId() || getSelectedProfileId();
+    const messages = await buildStreamingMessages(quietPrompt, rawSystemPrompt);
+    const response = await withPhonePresetOnProfile(profileId, () => context.ConnectionManagerRequestService.sendRequest(
+      profileId,
+      messages,
+      maxTokens > 0 ? maxTokens : STREAM_MAX_TOKENS,
+      {
+        stream: true,
+        signal: abortController.signal,
+        extractData: true,
+        includePreset: true,
+        includeInstruct: true
+      }
+    ));
+
+    // The service returns a generator factory for streams
+    const stream = typeof response === 'function' ? response() : response;
+    for await (const chunk of stream) {
+      text = chunk?.text ?? text;
+      onToken(text);
+    }
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      throw error;
+    }
+    console.log('[generation] Stream stopped, keeping partial reply');
+  } finally {
+    if (activeAbortController === abortController) {
+      activeAbortController = null;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Generates a phone reply, streaming it when enabled
+ * With a system prompt, the reply is generated raw: only the given prompts
+ * are sent, not the main chat's
+ * @param {string} quietPrompt - Phone reply instruction (with conversation history unless raw)
+ * @param {Object} [options]
+ * @param {Function} [options.onToken] - Receives the accumulated text while streaming
+ * @param {string|null} [options.systemPrompt] - Texting system prompt for a raw generation
+ * @returns {Promise<string>} Generated text
+ */
+export async function generateReply(quietPrompt, { onToken = null, systemPrompt = null } = {}) {
+  isGenerating = true;
+  try {
+    if (onToken && isStreamingAvailable()) {
+      return await streamReply(quietPrompt, onToken, systemPrompt);
+    }
+    if (onToken) {
+      notifyStreamingFallback();
+    }
+    if (systemPrompt !== null) {
+      return await generateRawReply(quietPrompt, systemPrompt);
+    }
+    return await generateQuietReply(quietPrompt);
+  } finally {
+    isGenerating = false;
+  }
+}
+
+/**
+ * Stops the reply currently being generated
+ * Streamed replies keep the text received so far
+ */
+export function stopReplyGeneration() {
+  if (activeAbortController) {
+    activeAbortController.abort();
+    return;
+  }
+
+  const context = getContext();
+  if (isGenerating && typeof context.stopGeneration === 'function') {
+    context.stopGeneration();
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Group Activation Module
+ * Chooses which group members text next. A port of SillyTavern's group
+ * activation (group-chats.js), so a group behaves the same in the phone as
+ * in the main chat. Pure functions: no ST context or DOM access
+ */
+
+const DEFAULT_TALKATIVENESS = 0.5; // ST's default for characters without a value
+
+// ST's group_activation_strategy values
+export const ACTIVATION_STRATEGY = {
+  NATURAL: 0,
+  LIST: 1,
+  POOLED: 2,
+  MANUAL: 3
+};
+
+/**
+ * Gets a character's talkativeness on ST's 0-1 scale
+ * Like ST, only values that aren't numbers fall back to the default
+ * @param {Object} character - Character object
+ * @returns {number} Talkativeness
+ */
+export function getTalkativeness(character) {
+  const value = character?.talkativeness;
+  return isNaN(value) ? DEFAULT_TALKATIVENESS : Number(value);
+}
+
+/**
+ * Returns a shuffled copy of a list (Fisher-Yates)
+ * @param {Array} list - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(list) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Picks one character by rolling each one's talkativeness
+ * Candidates are tried in random order so earlier members are not favored
+ * @param {Array} candidates - Character objects
+ * @returns {Object|null} Character whose roll succeeded, or null if nobody's did
+ */
+export function pickByTalkativeness(candidates) {
+  return shuffle(candidates).find(c => Math.random() < getTalkativeness(c)) || null;
+}
+
+/**
+ * Gets a member's ID as used on phone messages
+ * @param {Object} member - Character object
+ * @returns {string} Character ID (avatar filename, or name as fallback)
+ */
+function getMemberId(member) {
+  return member.avatar || member.name;
+}
+
+/**
+ * Natural order: @mentioned members, then every member whose talkativeness
+ * roll succeeds, in random order. If nobody is activated, one member with
+ * talkativeness above zero is picked at random; with none, nobody replies
+ * Outside of user input, the last speaker is skipped unless self responses are allowed
+ * @param {Array} members - Enabled members
+ * @param {Object} options - See activateGroupMembers
+ * @returns {Array} Activated members
+ */
+function activateNaturalOrder(members, { allowSelfResponses, isUserInput, mentionedIds, lastMessage }) {
+  const bannedId = !isUserInput && !allowSelfResponses && lastMessage?.sender === 'character'
+    ? lastMessage.characterId
+    : null;
+  const activated = [];
+
+  for (const id of mentionedIds) {
+    const member = members.find(m => getMemberId(m) === id);
+    if (member && id !== bannedId) {
+      activated.push(member);
+    }
+  }
+
+  const chattyMembers = [];
+  for (const member of shuffle(members)) {
+    if (getMemberId(member) === bannedId) continue;
+
+    const talkativeness = getTalkativeness(member);
+    if (talkativeness >= Math.random()) {
+      activated.push(member);
+    }
+    if (talkativeness > 0) {
+      chattyMembers.push(member);
+    }
+  }
+
+  // Like ST, only members who talk at all are picked at random, never the banned speaker
+  if (activated.length === 0 && chattyMembers.length > 0) {
+    activated.push(chattyMembers[Math.floor(Math.random() * chattyMembers.length)]);
+  }
+
+  return activated.filter((member, index) => activated.indexOf(member) === index);
+}
+
+/**
+ * Pooled order: one member who hasn't texted since the user's last message,
+ * or, once everyone has, anyone but the last speaker
+ * @param {Array} members - Enabled members
+ * @param {Object} options - See activateGroupMembers
+ * @returns {Array} The activated member (empty if there are no members)
+ */
+function activatePooledOrder(members, { history, lastMessage }) {
+  const spokenSinceUser = new Set();
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].sender === 'user') break;
+    spokenSinceUser.add(history[i].characterId);
+  }
+
+  const haveNotSpoken = members.filter(m => !spokenSinceUser.has(getMemberId(m)));
+  if (haveNotSpoken.length > 0) {
+    return [haveNotSpoken[Math.floor(Math.random() * haveNotSpoken.length)]];
+  }
+
+  const lastSpeakerId = members.length > 1 && lastMessage?.sender === 'character' ? lastMessage.characterId : null;
+  const randomPool = lastSpeakerId ? members.filter(m => getMemberId(m) !== lastSpeakerId) : members;
+  return randomPool.length > 0 ? [randomPool[Math.floor(Math.random() * randomPool.length)]] : [];
+}
+
+/**
+ * Chooses the group members who reply, in reply order, like ST's group activation
+ * - Natural: mentions and talkativeness rolls (see activateNaturalOrder)
+ * - List: every member, in group order
+ * - Pooled: one member who hasn't spoken yet (see activatePooledOrder)
+ * - Manual: nobody answers the user; otherwise one random member
+ * @param {Array} members - Enabled (not muted) members, in group order
+ * @param {Object} options - Activation options
+ * @param {number} options.strategy - Activation strategy (see ACTIVATION_STRATEGY)
+ * @param {boolean} [options.allowSelfResponses] - Whether the last speaker may reply to themselves
+ * @param {boolean} [options.isUserInput] - True when answering a user message, false for auto mode
+ * @param {string[]} [options.mentionedIds] - IDs of members mentioned in the user's message
+ * @param {Array} [options.history] - Phone messages so far, oldest first
+ * @returns {Array} Activated members
+ */
+export function activateGroupMembers(members, {
+  strategy,
+  allowSelfResponses = false,
+  isUserInput = true,
+  mentionedIds = [],
+  history = []
+} = {}) {
+  const options = {
+    allowSelfResponses,
+    isUserInput,
+    mentionedIds,
+    history,
+    lastMessage: history[history.length - 1] || null
+  };
+
+  switch (strategy) {
+    case ACTIVATION_STRATEGY.NATURAL:
+      return activateNaturalOrder(members, options);
+    case ACTIVATION_STRATEGY.LIST:
+      return [...members];
+    case ACTIVATION_STRATEGY.POOLED:
+      return activatePooledOrder(members, options);
+    case ACTIVATION_STRATEGY.MANUAL:
+      return isUserInput ? [] : shuffle(members).slice(0, 1);
+    default:
+      return members.slice(0, 1);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Mentions Module
+ * Finds @mentions of group members in phone messages. Mentions are stored on
+ * the message as structured references, so similar or overlapping names
+ * never misfire the way plain name matching does
+ */
+
+/**
+ * Gets a character's ID as used on phone messages
+ * @param {Object} character - Character object
+ * @returns {string} Character ID (avatar filename, or name as fallback)
+ */
+function getCharacterId(character) {
+  return character.avatar || character.name;
+}
+
+/**
+ * Finds every @ that starts a mention of one of the given names
+ * Only an @ at the start of a word counts, so emails like a@b.com are ignored.
+ * Longer names are tried first, so "@Anna Lee" is not read as "@Anna"
+ * @param {string} text - Message text
+ * @param {Array<{name: string}>} candidates - Objects with the names to look for
+ * @returns {Array<{index: number, length: number, candidate: Object}>} Matches in order
+ */
+function matchMentions(text, candidates) {
+  const lowerText = text.toLowerCase();
+  const byLength = candidates
+    .filter(c => c?.name)
+    .sort((a, b) => b.name.length - a.name.length);
+  const matches = [];
+
+  for (let i = text.indexOf('@'); i !== -1; i = text.indexOf('@', i + 1)) {
+    if (i > 0 && !/\s/.test(text[i - 1])) {
+      continue;
+    }
+
+    const candidate = byLength.find(c => (
+      lowerText.startsWith(c.name.toLowerCase(), i + 1)
+      && !/[\p{L}\p{N}_]/u.test(text[i + 1 + c.name.length] || '')
+    ));
+    if (candidate) {
+      matches.push({ index: i, length: candidate.name.length + 1, candidate });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Finds the @mentions of members in a message
+ * @param {string} text - Message text
+ * @param {Array} members - Character objects that can be mentioned
+ * @returns {Array<{characterId: string, name: string}>} Mentioned members, in order of appearance
+ */
+export function findMentions(text, members) {
+  const mentions = [];
+
+  for (const { candidate } of matchMentions(String(text || ''), members)) {
+    const characterId = getCharacterId(candidate);
+    if (!mentions.some(m => m.characterId === characterId)) {
+      mentions.push({ characterId, name: candidate.name });
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Splits message text into plain and mention segments for highlighting
+ * @param {string} text - Message text
+ * @param {Array<{characterId: string, name: string}>} mentions - Mentions stored on the message
+ * @returns {Array<{text: string, mention: Object|null}>} Segments in order
+ */
+export function splitMentions(text, mentions) {
+  const source = String(text || '');
+  const segments = [];
+  let position = 0;
+
+  for (const { index, length, candidate } of matchMentions(source, mentions || [])) {
+    if (index > position) {
+      segments.push({ text: source.slice(position, index), mention: null });
+    }
+    segments.push({ text: source.slice(index, index + length), mention: candidate });
+    position = index + length;
+  }
+
+  if (position < source.length || segments.length === 0) {
+    segments.push({ text: source.slice(position), mention: null });
+  }
+
+  return segments;
+}
+
+/**
+ * Finds the @mention being typed at the caret, for autocomplete
+ * @param {string} text - Input text
+ * @param {number} caret - Caret position
+ * @returns {{query: string, start: number}|null} Typed name so far and the position of "@", or null
+ */
+export function getMentionQuery(text, caret) {
+  const before = String(text || '').slice(0, caret);
+  const match = before.match(/(^|\s)@([^\s@]*)$/);
+  if (!match) {
+    return null;
+  }
+  return { query: match[2], start: before.length - match[2].length - 1 };
+}
@@ -2,68 +2,506 @@
  * Message Store Module
  * Manages phone message storage separately from main chat
  * Supports both individual character chats and group chats
+ * Persists phone threads in the chat metadata so they are saved with the chat file
  */
 
-import { getContext } from "../../../../extensions.js";
+import { getContext, extension_settings } from "../../../../extensions.js";
 
-// In-memory message store (per conversation - character or group)
+const extensionName = "st-text-messaging";
+
+// Current schema version of the persisted phone store
+const STORE_VERSION = 3;
+
+// Persisted message store, kept in chatMetadata[extensionName]
 // Structure:
 // {
-//   conversationKey: {
-//     type: 'individual' | 'group',
-//     messages: [
-//       {
-//         id: number,
-//         sender: 'user' | 'character',
-//         characterId: string|null,     // Which character sent this (for groups)
-//         characterName: string,
-//         avatarUrl: string,
-//         text: string,
-//         timestamp: Date,
-//         isFirstInSequence: boolean
-//       }
-//     ],
-//     lastSender: string  // 'user' or characterId (for groups)
-//   }
+//   version: number,                 // Schema version (see STORE_VERSION)
+//   legacyImported: boolean,         // Whether old 📱 main chat messages were imported
+//   lastTextChatLength?: number,     // Main chat length when the last text was sent (see proactive.js)
+//   conversations: {
+//     conversationKey: {
+//       type: 'individual' | 'group' | 'adhoc',
+//       activeThreadId: string,          // Thread shown in the phone
+//       name?: string,                   // Ad-hoc groups: group name
+//       members?: string[],              // Ad-hoc groups: member avatar filenames
+//       settings?: {                     // Ad-hoc groups: reply order, named like ST group fields
+//         activation_strategy: number,
+//         allow_self_responses: boolean,
+//         auto_mode_delay: number
+//       },
+//       createdAt?: Date,                // Ad-hoc groups: when the group was created
+//       threads: {
+//         threadId: {
+//           id: string,
+//           name: string,                // e.g. "Work number", "After the time skip"
+//           archived: boolean,
+//           createdAt: Date,
+//           messages: [
+//             {
+//               id: string,              // Unique ID (see generateId)
+//               sender: 'user' | 'character',
+//               characterId: string|null,     // Which character sent this (for groups)
+//               characterName: string,
+//               avatarUrl: string,
+//               text: string,
+//               timestamp: Date,
+//               storyTime?: Date,        // In-story time it was sent (see story-clock.js)
+//               isFirstInSequence: boolean,
+//               edited?: boolean,
+//               editedAt?: Date,
+//               swipes?: string[],       // Alternate replies (character messages)
+//               swipeId?: number,        // Index of the alternate being shown
+//               proactive?: boolean,     // Sent unprompted by the character
+//               localOnly?: boolean,     // Not mirrored into the main chat (mirror mode "none")
+//               mentions?: [             // @mentioned group members (user messages)
+//                 { characterId: string, name: string }
+//               ]
+//             }
+//           ],
+//           lastSender: string  // 'user' or characterId (for groups)
+//         }
+//       },
+//       pendingReplies?: [               // Replies held back while characters are unavailable
+//         { characterId: string, queuedAt: number }
+//       ]
+//     }
+//   },
+//   [key]: any                           // Chat-wide values (see getChatValue), e.g. clock
 // }
-const messageStore = {};
+
+// Name of the thread every conversation starts with
+const DEFAULT_THREAD_NAME = 'Messages';
+
+// Schema migrations, keyed by the version they upgrade FROM
+// A migration returns true if it changed main chat messages
+const STORE_MIGRATIONS = {
+  // Version 0: stores saved before versioning existed
+  0: (store) => {
+    store.conversations = store.conversations || {};
+    store.legacyImported = store.legacyImported ?? false;
+  },
+
+  // Version 1: message IDs were Date.now() values and could collide
+  1: (store) => migrateMessageIds(store),
+
+  // Version 2: one message list per conversation, now one of several named threads
+  2: (store) => {
+    Object.values(store.conversations).forEach(conversation => {
+      const thread = createThreadObject(DEFAULT_THREAD_NAME);
+      thread.messages = conversation.messages || [];
+      thread.lastSender = conversation.lastSender ?? null;
+      thread.createdAt = thread.messages[0]?.timestamp ?? thread.createdAt;
+      conversation.threads = { [thread.id]: thread };
+      conversation.activeThreadId = thread.id;
+      delete conversation.messages;
+      delete conversation.lastSender;
+    });
+  }
+};
+
+// Per-session counter so IDs generated in the same millisecond stay unique
+let idCounter = 0;
+
+// Chat metadata object the store was last loaded from (changes when the chat changes)
+let loadedMetadata = null;
+
+// Key of the ad-hoc group open in the phone, or null for the chat's own conversation
+let activeAdHocKey = null;
+
+// Reply order settings for new ad-hoc groups (Natural order, like a new ST group)
+const DEFAULT_ADHOC_SETTINGS = {
+  activation_strategy: 0,
+  allow_self_responses: false,
+  auto_mode_delay: 5
+};
+
+/**
+ * Generates a unique, persistable ID for messages and threads
+ * Combines time, a per-session counter and a random suffix so IDs never
+ * collide, even when several messages are created in the same tick
+ * @param {string} [prefix] - 'pm' for phone messages, 'th' for threads, 'adhoc' for ad-hoc groups
+ * @returns {string} Unique ID
+ */
+function generateId(prefix = 'pm') {
+  const time = Date.now().toString(36);
+  const counter = (idCounter++).toString(36);
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${prefix}-${time}-${counter}-${random}`;
+}
+
+/**
+ * Creates an empty thread
+ * @param {string} name - Thread name
+ * @returns {Object} Thread object
+ */
+function createThreadObject(name) {
+  return {
+    id: generateId('th'),
+    name: name,
+    archived: false,
+    createdAt: new Date(),
+    messages: [],
+    lastSender: null
+  };
+}
+
+/**
+ * Re-links old timestamp-based message IDs to unique IDs
+ * Phone messages and their main chat mirrors (extra.phoneMessageId) are paired
+ * up in chat order, so duplicate old IDs are split onto the right messages
+ * @param {Object} store - Persisted phone store
+ * @returns {boolean} True if main chat messages were changed (not saved here)
+ */
+function migrateMessageIds(store) {
+  const context = getContext();
+
+  // Queue phone messages by their old ID, in conversation order
+  const messagesByOldId = new Map();
+  Object.values(store.conversations).forEach(conversation => {
+    conversation.messages.forEach(msg => {
+      const key = String(msg.id);
+      if (!messagesByOldId.has(key)) {
+        messagesByOldId.set(key, []);
+      }
+      messagesByOldId.get(key).push(msg);
+    });
+  });
+
+  let relinkedCount = 0;
+  let chatChanged = false;
+
+  // Pair each main chat mirror with the next phone message sharing its old ID
+  (context.chat || []).forEach(chatMsg => {
+    if (!chatMsg.extra?.isPhoneMessage) {
+      return;
+    }
+
+    const newId = generateId();
+    const oldId = chatMsg.extra.phoneMessageId;
+    const match = oldId !== undefined && oldId !== null
+      ? messagesByOldId.get(String(oldId))?.shift()
+      : null;
+
+    if (match) {
+      match.id = newId;
+      relinkedCount++;
+    }
+    chatMsg.extra.phoneMessageId = newId;
+    chatChanged = true;
+  });
+
+  // Phone messages without a main chat mirror still need unique IDs
+  messagesByOldId.forEach(messages => {
+    messages.forEach(msg => {
+      msg.id = generateId();
+    });
+  });
+
+  console.log(`[message-store] Migrated message IDs, re-linked ${relinkedCount} main chat messages`);
+  return chatChanged;
+}
+
+/**
+ * Converts serialized dates back into Date objects after a chat load
+ * @param {Object} store - Persisted phone store
+ */
+function hydrateStore(store) {
+  Object.values(store.conversations).forEach(conversation => {
+    if (conversation.createdAt) {
+      conversation.createdAt = new Date(conversation.createdAt);
+    }
+    Object.values(conversation.threads).forEach(thread => {
+      thread.createdAt = new Date(thread.createdAt);
+      thread.messages.forEach(msg => {
+        msg.timestamp = new Date(msg.timestamp);
+        if (msg.storyTime) {
+          msg.storyTime = new Date(msg.storyTime);
+        }
+        if (msg.editedAt) {
+          msg.editedAt = new Date(msg.editedAt);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Runs schema migrations on a persisted store until it reaches STORE_VERSION
+ * @param {Object} store - Persisted phone store
+ * @returns {{migrated: boolean, chatChanged: boolean}} Whether any migration
+ *   ran, and whether one changed main chat messages
+ */
+function migrateStore(store) {
+  let version = store.version ?? 0;
+  const startVersion = version;
+  let chatChanged = false;
+  while (version < STORE_VERSION) {
+    const migrate = STORE_MIGRATIONS[version];
+    if (typeof migrate === 'function' && migrate(store)) {
+      chatChanged = true;
+    }
+    version++;
+    console.log(`[message-store] Migrated phone store to version ${version}`);
+  }
+  store.version = version;
+  return { migrated: version !== startVersion, chatChanged };
+}
+
+/**
+ * Loads the phone store of the chat that was just opened: creates, migrates
+ * and hydrates it. Called once per chat load (CHAT_CHANGED)
+ * Migrations may rewrite main chat messages; the chat and the store are then
+ * saved together, since ST saves chat metadata with the chat
+ * @returns {Promise<void>}
+ */
+export async function loadPhoneStore() {
+  const context = getContext();
+  const metadata = context.chatMetadata;
+  if (!metadata || loadedMetadata === metadata) {
+    return;
+  }
+
+  // New stores start at version 0 so migrations also fix up the main chat
+  // of chats that had phone messages before the store existed
+  if (!metadata[extensionName]) {
+    metadata[extensionName] = {
+      version: 0,
+      conversations: {}
+    };
+  }
+
+  const store = metadata[extensionName];
+  const { migrated, chatChanged } = migrateStore(store);
+  hydrateStore(store);
+  loadedMetadata = metadata;
+  console.log('[message-store] Phone store loaded from chat metadata');
+
+  if (chatChanged && typeof context.saveChat === 'function') {
+    await context.saveChat();
+  } else if (migrated && Object.keys(store.conversations).length > 0 && typeof context.saveMetadata === 'function') {
+    await context.saveMetadata();
+  }
+}
+
+/**
+ * Gets the persisted phone store for the active chat
+ * Only reads it: the store is created and migrated by loadPhoneStore
+ * @returns {Object|null} Phone store or null if no chat is loaded yet
+ */
+function getPhoneStore() {
+  const metadata = getContext().chatMetadata;
+  if (!metadata || loadedMetadata !== metadata) {
+    return null;
+  }
+  return metadata[extensionName] || null;
+}
+
+/**
+ * Saves the phone store with the chat metadata
+ */
+function saveStore() {
+  const context = getContext();
+  const save = context.saveMetadataDebounced ?? context.saveMetadata;
+  if (typeof save === 'function') {
+    save();
+  }
+}
+
+/**
+ * Gets display info for the contact behind a conversation
+ * @param {string} [conversationKey] - Conversation key (defaults to the chat's own conversation)
+ * @returns {Object} Contact name, avatar file(s) and group ID
+ */
+function getContactInfo(conversationKey = null) {
+  const context = getContext();
+
+  const conversation = conversationKey ? getConversation(conversationKey) : null;
+  if (conversation?.type === 'adhoc') {
+    return {
+      name: conversation.name,
+      avatars: conversation.members.slice(0, 3),
+      groupId: null
+    };
+  }
+
+  if (context.groupId) {
+    const group = (context.groups || []).find(g => g.id === context.groupId);
+    const avatars = (group?.members || [])
+      .map(memberId => context.characters?.find(c => c.avatar === memberId || c.name === memberId)?.avatar)
+      .filter(Boolean)
+      .slice(0, 3);
+    return {
+      name: group?.name || 'Group Chat',
+      avatars: avatars,
+      groupId: context.groupId
+    };
+  }
+
+  const character = context.characters?.[context.characterId];
+  return {
+    name: character?.name || context.name2 || 'Character',
+    avatars: character?.avatar ? [character.avatar] : [],
+    groupId: null
+  };
+}
+
+/**
+ * Updates the cross-chat inbox entry for a conversation
+ * The inbox index lives in extension settings so every chat with phone
+ * history can be listed without loading its chat file
+ * @param {string} conversationKey - Conversation key
+ * @param {number} [unreadDelta] - Number of newly received, unread messages
+ */
+function updateInboxEntry(conversationKey, unreadDelta = 0) {
+  const context = getContext();
+  const settings = extension_settings[extensionName];
+  if (!settings) {
+    return;
+  }
+
+  settings.phoneInbox = settings.phoneInbox || {};
+  const threads = Object.values(getConversation(conversationKey)?.threads || {});
+  const lastMsg = threads
+    .filter(thread => !thread.archived)
+    .map(thread => thread.messages[thread.messages.length - 1])
+    .filter(Boolean)
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+  if (!lastMsg) {
+    delete settings.phoneInbox[conversationKey];
+  } else {
+    const existing = settings.phoneInbox[conversationKey] || {};
+    const isAdHoc = getConversation(conversationKey)?.type === 'adhoc';
+    settings.phoneInbox[conversationKey] = {
+      ...getContactInfo(conversationKey),
+      key: conversationKey,
+      type: isAdHoc || conversationKey.startsWith('group_') ? 'group' : 'individual',
+      // Ad-hoc groups live in another chat's file; this is that chat (see getInboxHost)
+      host: isAdHoc ? getChatHostInfo() : undefined,
+      chatFile: context.getCurrentChatId?.() ?? existing.chatFile ?? null,
+      lastText: lastMsg.text.substring(0, 100),
+      lastSender: lastMsg.sender === 'user' ? (context.name1 || 'User') : lastMsg.characterName,
+      lastTimestamp: new Date(lastMsg.timestamp).getTime(),
+      unread: Math.max(0, (existing.unread || 0) + unreadDelta)
+    };
+  }
+
+  context.saveSettingsDebounced?.();
+}
+
+/**
+ * Saves the phone store and refreshes the conversation's inbox entry
+ * @param {string} conversationKey - Conversation key that changed
+ * @param {number} [unreadDelta] - Number of newly received, unread messages
+ */
+function commitConversation(conversationKey, unreadDelta = 0) {
+  saveStore();
+  updateInboxEntry(conversationKey, unreadDelta);
+}
+
+/**
+ * Gets a conversation from the phone store
+ * @param {string} conversationKey - Conversation key
+ * @returns {Object|null} Conversation or null if it doesn't exist
+ */
+function getConversation(conversationKey) {
+  const store = getPhoneStore();
+  return store?.conversations[conversationKey] || null;
+}
+
+/**
+ * Gets the active thread of a conversation
+ * @param {string} conversationKey - Conversation key
+ * @returns {Object|null} Thread or null if the conversation doesn't exist
+ */
+function getActiveThread(conversationKey) {
+  const conversation = getConversation(conversationKey);
+  return conversation?.threads[conversation.activeThreadId] || null;
+}
+
+/**
+ * Gets the lastSender key for a message
+ * @param {Object} msg - Message object
+ * @returns {string} 'user', the character ID, or 'character'
+ */
+function getSenderKey(msg) {
+  if (msg.sender === 'user') {
+    return 'user';
+  }
+  return msg.characterId || 'character';
+}
 
 /**
  * Gets the conversation key for current context
- * For individual chats: characterId
- * For group chats: group_<groupId>
+ * The open ad-hoc group if there is one, otherwise the chat's own conversation
  * @returns {string|null}
  */
 function getConversationKey() {
+  if (activeAdHocKey && getConversation(activeAdHocKey)) {
+    return activeAdHocKey;
+  }
+  return getChatConversationKey();
+}
+
+/**
+ * Gets the key of the chat's own conversation
+ * For individual chats: character avatar filename (characterId is an array
+ * index and shifts when characters are added, so it can't be persisted)
+ * For group chats: group_<groupId>
+ * @returns {string|null}
+ */
+export function getChatConversationKey() {
   const context = getContext();
   if (context.groupId) {
     return `group_${context.groupId}`;
   }
-  return context.characterId !== undefined ? String(context.characterId) : null;
+  if (context.characterId === undefined) {
+    return null;
+  }
+  return context.characters?.[context.characterId]?.avatar || String(context.characterId);
 }
 
-
 /**
- * Checks if currently in a group chat
+ * Checks if currently in a group chat (an ST group, or an open ad-hoc group)
  * @returns {boolean}
  */
-function isInGroupChat() {
+export function isInGroupChat() {
+  const context = getContext();
+  return !!context.groupId || Boolean(getAdHocGroup());
+}
+
+/**
+ * Gets chat info used to find the chat file holding an ad-hoc group
+ * @returns {{type: string, name: string, avatars: string[], groupId: string|null}}
+ */
+function getChatHostInfo() {
   const context = getContext();
-  return !!context.groupId;
+  return {
+    ...getContactInfo(),
+    type: context.groupId ? 'group' : 'individual'
+  };
 }
 
 /**
  * Initializes message store for a conversation if not exists
  * @param {string} conversationKey - Conversation key
+ * @returns {Object|null} Active thread of the conversation, or null if no chat is loaded
  */
 function initializeConversationStore(conversationKey) {
-  if (!messageStore[conversationKey]) {
-    messageStore[conversationKey] = {
+  const store = getPhoneStore();
+  if (!store) {
+    return null;
+  }
+
+  if (!store.conversations[conversationKey]) {
+    const thread = createThreadObject(DEFAULT_THREAD_NAME);
+    store.conversations[conversationKey] = {
       type: conversationKey.startsWith('group_') ? 'group' : 'individual',
-      messages: [],
-      lastSender: null
+      activeThreadId: thread.id,
+      threads: { [thread.id]: thread }
     };
   }
+  return getActiveThread(conversationKey);
 }
 
 
@@ -75,6 +513,10 @@ function initializeConversationStore(conversationKey) {
  * @param {string} message.characterName - Character name
  * @param {string} message.avatarUrl - Avatar URL
  * @param {string} [message.characterId] - Character ID (for group chats)
+ * @param {boolean} [message.proactive] - Sent unprompted by the character
+ * @param {Array} [message.mentions] - @mentioned group members ({characterId, name})
+ * @param {Date} [message.storyTime] - In-story time it was sent
+ * @param {boolean} [message.localOnly] - Not mirrored into the main chat
  * @returns {Object} Added message with id and timestamp
  */
 export function addMessage(message) {
@@ -84,10 +526,13 @@ export function addMessage(message) {
     return null;
   }
 
-  initializeConversationStore(conversationKey);
+  const store = initializeConversationStore(conversationKey);
+  if (!store) {
+    console.error('[message-store] No chat loaded');
+    return null;
+  }
 
   const inGroup = isInGroupChat();
-  const store = messageStore[conversationKey];
 
   // Determine if this is first in sequence
   // For groups: compare characterId, not just 'user'/'character'
@@ -102,7 +547,7 @@ export function addMessage(message) {
   }
 
   const fullMessage = {
-    id: Date.now(),
+    id: generateId(),
     sender: message.sender,
     characterId: message.characterId || null,  // Track which character (for groups)
     text: message.text,
@@ -112,6 +557,24 @@ export function addMessage(message) {
     isFirstInSequence: isFirstInSequence
   };
 
+  if (message.storyTime) {
+    fullMessage.storyTime = new Date(message.storyTime);
+  }
+
+  // Kept by syncWithMainChat, which drops texts missing from the main chat
+  if (message.localOnly) {
+    fullMessage.localOnly = true;
+  }
+
+  // Unprompted texts are flagged so the character does not double-text
+  if (message.proactive) {
+    fullMessage.proactive = true;
+  }
+
+  if (message.mentions?.length) {
+    fullMessage.mentions = message.mentions;
+  }
+
   store.messages.push(fullMessage);
 
   // Track last sender - for groups, use characterId
@@ -123,6 +586,10 @@ export function addMessage(message) {
     store.lastSender = 'character';
   }
 
+  // Texts are not always mirrored, so turns since texting are counted from here
+  getPhoneStore().lastTextChatLength = getContext().chat?.length ?? 0;
+
+  commitConversation(conversationKey, message.sender === 'character' ? 1 : 0);
   console.log('[message-store] Message added:', fullMessage);
 
   return fullMessage;
@@ -138,8 +605,7 @@ export function getMessages() {
     return [];
   }
 
-  initializeConversationStore(conversationKey);
-  return messageStore[conversationKey].messages;
+  return getActiveThread(conversationKey)?.messages || [];
 }
 
 /**
@@ -161,21 +627,29 @@ export function clearMessages() {
     return;
   }
 
-  if (messageStore[conversationKey]) {
-    messageStore[conversationKey].messages = [];
-    messageStore[conversationKey].lastSender = null;
+  const store = getActiveThread(conversationKey);
+  if (store) {
+    store.messages = [];
+    store.lastSender = null;
+    commitConversation(conversationKey);
   }
 
   console.log('[message-store] Messages cleared for conversation:', conversationKey);
 }
 
 /**
- * Clears all messages for all characters
+ * Clears all messages for all conversations in the current chat
  */
 export function clearAllMessages() {
-  Object.keys(messageStore).forEach(key => {
-    delete messageStore[key];
-  });
+  const store = getPhoneStore();
+  if (!store) {
+    return;
+  }
+
+  const conversationKeys = Object.keys(store.conversations);
+  store.conversations = {};
+  saveStore();
+  conversationKeys.forEach(key => updateInboxEntry(key));
 
   console.log('[message-store] All messages cleared');
 }
@@ -190,16 +664,16 @@ export function getMessageCount() {
 
 /**
  * Removes a specific message by ID
- * @param {number} messageId - Message ID to remove
+ * @param {string} messageId - Message ID to remove
  * @returns {Object|null} Removed message object (for undo), or null if not found
  */
 export function removeMessage(messageId) {
   const conversationKey = getConversationKey();
-  if (!conversationKey || !messageStore[conversationKey]) {
+  const store = conversationKey ? getActiveThread(conversationKey) : null;
+  if (!store) {
     return null;
   }
 
-  const store = messageStore[conversationKey];
   const index = store.messages.findIndex(msg => msg.id === messageId);
   if (index !== -1) {
     const removedMessage = store.messages.splice(index, 1)[0];
@@ -209,16 +683,10 @@ export function removeMessage(messageId) {
       store.lastSender = null;
     } else if (index === store.messages.length) {
       // Removed the last message, update lastSender to previous message's sender
-      const lastMsg = store.messages[store.messages.length - 1];
-      if (lastMsg.sender === 'user') {
-        store.lastSender = 'user';
-      } else if (lastMsg.characterId) {
-        store.lastSender = lastMsg.characterId;
-      } else {
-        store.lastSender = 'character';
-      }
+      store.lastSender = getSenderKey(store.messages[store.messages.length - 1]);
     }
 
+    commitConversation(conversationKey);
     console.log('[message-store] Message removed:', messageId);
     return removedMessage;
   }
@@ -228,21 +696,20 @@ export function removeMessage(messageId) {
 
 /**
  * Edits a message's text by ID
- * @param {number} messageId - Message ID to edit
+ * @param {string} messageId - Message ID to edit
  * @param {string} newText - New message text
  * @returns {Object|null} Updated message object, or null if not found
  */
 export function editMessage(messageId, newText) {
-  const conversationKey = getConversationKey();
-  if (!conversationKey || !messageStore[conversationKey]) {
-    return null;
-  }
-
-  const message = messageStore[conversationKey].messages.find(msg => msg.id === messageId);
+  const message = getMessageById(messageId);
   if (message) {
     message.text = newText;
     message.edited = true;
     message.editedAt = new Date();
+    if (message.swipes) {
+      message.swipes[message.swipeId] = newText;
+    }
+    commitConversation(getConversationKey());
     console.log('[message-store] Message edited:', messageId);
     return message;
   }
@@ -250,6 +717,49 @@ export function editMessage(messageId, newText) {
   return null;
 }
 
+/**
+ * Adds an alternate reply (swipe) to a message and shows it
+ * @param {string} messageId - Message ID
+ * @param {string} text - Alternate reply text
+ * @returns {Object|null} Updated message object, or null if not found
+ */
+export function addSwipe(messageId, text) {
+  const message = getMessageById(messageId);
+  if (!message) {
+    return null;
+  }
+
+  if (!message.swipes) {
+    message.swipes = [message.text];
+  }
+  message.swipes.push(text);
+  message.swipeId = message.swipes.length - 1;
+  message.text = text;
+
+  commitConversation(getConversationKey());
+  console.log(`[message-store] Swipe added to ${messageId} (${message.swipes.length} total)`);
+  return message;
+}
+
+/**
+ * Shows a different alternate reply (swipe) of a message
+ * @param {string} messageId - Message ID
+ * @param {number} swipeId - Index of the alternate to show
+ * @returns {Object|null} Updated message object, or null if not found/out of range
+ */
+export function setSwipe(messageId, swipeId) {
+  const message = getMessageById(messageId);
+  if (!message?.swipes || swipeId < 0 || swipeId >= message.swipes.length) {
+    return null;
+  }
+
+  message.swipeId = swipeId;
+  message.text = message.swipes[swipeId];
+
+  commitConversation(getConversationKey());
+  return message;
+}
+
 /**
  * Restores a previously removed message
  * @param {Object} message - Message object to restore
@@ -262,14 +772,16 @@ export function restoreMessage(message, atIndex = null) {
     return false;
   }
 
-  initializeConversationStore(conversationKey);
-  const store = messageStore[conversationKey];
+  const store = initializeConversationStore(conversationKey);
+  if (!store) {
+    return false;
+  }
 
   if (atIndex !== null && atIndex >= 0 && atIndex <= store.messages.length) {
     store.messages.splice(atIndex, 0, message);
   } else {
     // Find correct position based on timestamp
-    const insertIndex = store.messages.findIndex(m => m.id > message.id);
+    const insertIndex = store.messages.findIndex(m => m.timestamp > message.timestamp);
     if (insertIndex === -1) {
       store.messages.push(message);
     } else {
@@ -280,31 +792,21 @@ export function restoreMessage(message, atIndex = null) {
   // Update lastSender based on the last message
   const lastMsg = store.messages[store.messages.length - 1];
   if (lastMsg) {
-    if (lastMsg.sender === 'user') {
-      store.lastSender = 'user';
-    } else if (lastMsg.characterId) {
-      store.lastSender = lastMsg.characterId;
-    } else {
-      store.lastSender = 'character';
-    }
+    store.lastSender = getSenderKey(lastMsg);
   }
 
+  commitConversation(conversationKey);
   console.log('[message-store] Message restored:', message.id);
   return true;
 }
 
 /**
  * Gets a message by ID
- * @param {number} messageId - Message ID to find
+ * @param {string} messageId - Message ID to find
  * @returns {Object|null} Message object or null if not found
  */
 export function getMessageById(messageId) {
-  const conversationKey = getConversationKey();
-  if (!conversationKey || !messageStore[conversationKey]) {
-    return null;
-  }
-
-  return messageStore[conversationKey].messages.find(msg => msg.id === messageId) || null;
+  return getMessages().find(msg => msg.id === messageId) || null;
 }
 
 /**
@@ -312,12 +814,7 @@ export function getMessageById(messageId) {
  * @returns {Array} Array of message objects
  */
 export function exportMessages() {
-  const conversationKey = getConversationKey();
-  if (!conversationKey || !messageStore[conversationKey]) {
-    return [];
-  }
-
-  return messageStore[conversationKey].messages.map(msg => ({
+  return getMessages().map(msg => ({
     sender: msg.sender,
     characterId: msg.characterId,
     characterName: msg.characterName,
@@ -328,78 +825,215 @@ export function exportMessages() {
 
 /**
  * Gets the entire message store (for debugging)
- * @returns {Object} Complete message store
+ * @returns {Object|null} Complete phone store for the current chat
  */
 export function getStore() {
-  return messageStore;
+  return getPhoneStore();
+}
+
+/**
+ * Removes the 📱 prefix from a mirrored message's text
+ * @param {string} text - Main chat message text
+ * @returns {string} Text as sent on the phone
+ */
+export function stripPhonePrefix(text) {
+  return String(text || '').replace(/^📱 ?/, '');
+}
+
+/**
+ * Checks whether a mirrored text and a phone message's text are the same
+ * Both are compared without the 📱 prefix and surrounding whitespace, so a
+ * text that itself starts with 📱 matches however it was mirrored
+ * @param {string} mirrorText - Text from the main chat, prefix already stripped once
+ * @param {string} phoneText - Text of the phone message
+ * @returns {boolean} True if the texts match
+ */
+function isSameText(mirrorText, phoneText) {
+  return stripPhonePrefix(mirrorText).trim() === stripPhonePrefix(phoneText).trim();
+}
+
+/**
+ * Gets the IDs of the phone messages mirrored in the main chat
+ * Digest messages hold several texts (mirror mode "digest")
+ * @param {Array} chat - Main chat messages
+ * @returns {string[]} Phone message IDs, in chat order
+ */
+function getMirroredIds(chat) {
+  const ids = [];
+  chat.forEach(msg => {
+    if (msg.extra?.isPhoneDigest) {
+      msg.extra.phoneMessages?.forEach(entry => ids.push(entry.id));
+    } else if (msg.extra?.isPhoneMessage && msg.extra?.phoneMessageId) {
+      ids.push(msg.extra.phoneMessageId);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Updates a thread's last sender and which messages start a sequence,
+ * after messages were removed or moved
+ * @param {Object} thread - Thread object
+ */
+function refreshSequence(thread) {
+  thread.lastSender = thread.messages.length === 0
+    ? null
+    : getSenderKey(thread.messages[thread.messages.length - 1]);
+
+  let prevSenderKey = null;
+  thread.messages.forEach(msg => {
+    const currentSenderKey = getSenderKey(msg);
+    msg.isFirstInSequence = prevSenderKey !== currentSenderKey;
+    prevSenderKey = currentSenderKey;
+  });
+}
+
+/**
+ * Checks whether the main chat's mirrors and the phone messages are out of
+ * step: a mirror or a phone message is missing, or a text differs
+ * Lets most main chat deletions (story messages) skip syncWithMainChat
+ * @param {Array<{id: string, text: string}>} mirrors - Mirrored texts (see getMainChatMirrors)
+ * @returns {boolean} True if they differ
+ */
+export function hasUnsyncedMirrors(mirrors) {
+  const conversation = getConversation(getChatConversationKey());
+  if (!conversation || conversation.type === 'adhoc') {
+    return false;
+  }
+
+  const phoneTexts = new Map();
+  Object.values(conversation.threads).forEach(thread => {
+    thread.messages.forEach(msg => {
+      if (!msg.localOnly) {
+        phoneTexts.set(msg.id, msg.text);
+      }
+    });
+  });
+
+  return mirrors.length !== phoneTexts.size || mirrors.some(mirror => (
+    !phoneTexts.has(mirror.id) || !isSameText(mirror.text, phoneTexts.get(mirror.id))
+  ));
+}
+
+/**
+ * Applies changes made to the mirrors in the main chat to the phone messages:
+ * new texts (edits, swipes) and a new order (moved messages)
+ * @param {Array<{id: string, text: string}>} mirrors - Mirrored texts in chat
+ *   order, without the 📱 prefix (see getMainChatMirrors)
+ * @param {Object} [options]
+ * @param {boolean} [options.markEdited] - Flag changed texts as edited (false for swipes)
+ * @returns {boolean} True if any phone message changed
+ */
+export function applyMainChatMirrors(mirrors, { markEdited = true } = {}) {
+  const conversationKey = getChatConversationKey();
+  const conversation = getConversation(conversationKey);
+  if (!conversation || conversation.type === 'adhoc') {
+    return false;
+  }
+
+  const mirrorsById = new Map(mirrors.map((mirror, index) => [mirror.id, { ...mirror, index }]));
+  let editedCount = 0;
+  let reordered = false;
+
+  Object.values(conversation.threads).forEach(thread => {
+    thread.messages.forEach(msg => {
+      const mirror = mirrorsById.get(msg.id);
+      // An empty text is a swipe still being generated
+      if (!mirror?.text || isSameText(mirror.text, msg.text)) {
+        return;
+      }
+
+      msg.text = mirror.text;
+      if (msg.swipes) {
+        // A swipe back to one of the phone's alternates selects it
+        const swipeId = msg.swipes.indexOf(mirror.text);
+        if (swipeId !== -1) {
+          msg.swipeId = swipeId;
+        } else {
+          msg.swipes[msg.swipeId] = mirror.text;
+        }
+      }
+      if (markEdited) {
+        msg.edited = true;
+        msg.editedAt = new Date();
+      }
+      editedCount++;
+    });
+
+    // Put moved messages in their new order; texts without a mirror keep their place
+    const slots = [];
+    thread.messages.forEach((msg, index) => {
+      if (mirrorsById.has(msg.id)) {
+        slots.push(index);
+      }
+    });
+    const ordered = slots
+      .map(index => thread.messages[index])
+      .sort((a, b) => mirrorsById.get(a.id).index - mirrorsById.get(b.id).index);
+
+    if (ordered.some((msg, i) => thread.messages[slots[i]] !== msg)) {
+      slots.forEach((slot, i) => {
+        thread.messages[slot] = ordered[i];
+      });
+      refreshSequence(thread);
+      reordered = true;
+    }
+  });
+
+  if (editedCount === 0 && !reordered) {
+    return false;
+  }
+
+  commitConversation(conversationKey);
+  console.log(`[message-store] Applied main chat changes: ${editedCount} texts changed${reordered ? ', messages moved' : ''}`);
+  return true;
 }
 
 /**
  * Syncs phone message store with main SillyTavern chat
- * Removes any phone messages that no longer exist in the main chat
- * (e.g., when user deletes messages from main UI)
+ * Removes any phone messages (in every thread of the conversation) that
+ * no longer exist in the main chat (e.g., when user deletes messages from main UI).
+ * Texts that were never mirrored are kept
  * @returns {number} Number of messages removed
  */
 export function syncWithMainChat() {
   const context = getContext();
-  const conversationKey = getConversationKey();
+  const conversationKey = getChatConversationKey();
 
   if (!conversationKey) {
     return 0;
   }
 
-  if (!messageStore[conversationKey] || messageStore[conversationKey].messages.length === 0) {
+  const conversation = getConversation(conversationKey);
+  if (!conversation || !context.chat) {
     return 0;
   }
 
-  if (!context.chat) {
+  // Ad-hoc group texts are never mirrored into the main chat
+  if (conversation.type === 'adhoc') {
     return 0;
   }
 
   // Build a set of valid phone message IDs that still exist in main chat
-  const validPhoneMessageIds = new Set();
-  context.chat.forEach(msg => {
-    if (msg.extra?.isPhoneMessage && msg.extra?.phoneMessageId) {
-      validPhoneMessageIds.add(msg.extra.phoneMessageId);
-    }
-  });
+  const validPhoneMessageIds = new Set(getMirroredIds(context.chat));
 
-  const store = messageStore[conversationKey];
-  const originalLength = store.messages.length;
+  let removedCount = 0;
 
-  // Filter out messages that no longer exist in main chat
-  // Only filter messages that have IDs (reconstructed messages may have generated IDs)
-  store.messages = store.messages.filter(msg => {
-    // If this message was never synced to main chat, keep it (shouldn't happen normally)
-    // Messages with IDs matching phoneMessageIds in main chat should be kept
-    return validPhoneMessageIds.has(msg.id);
-  });
+  Object.values(conversation.threads).forEach(thread => {
+    const originalLength = thread.messages.length;
 
-  const removedCount = originalLength - store.messages.length;
+    // Filter out messages that no longer exist in main chat
+    thread.messages = thread.messages.filter(msg => msg.localOnly || validPhoneMessageIds.has(msg.id));
 
-  if (removedCount > 0) {
-    // Update lastSender based on remaining messages
-    if (store.messages.length === 0) {
-      store.lastSender = null;
-    } else {
-      const lastMsg = store.messages[store.messages.length - 1];
-      if (lastMsg.sender === 'user') {
-        store.lastSender = 'user';
-      } else if (lastMsg.characterId) {
-        store.lastSender = lastMsg.characterId;
-      } else {
-        store.lastSender = 'character';
-      }
+    if (thread.messages.length === originalLength) {
+      return;
     }
+    removedCount += originalLength - thread.messages.length;
+    refreshSequence(thread);
+  });
 
-    // Recalculate isFirstInSequence for all messages
-    let prevSenderKey = null;
-    store.messages.forEach(msg => {
-      const currentSenderKey = msg.sender === 'user' ? 'user' : (msg.characterId || 'character');
-      msg.isFirstInSequence = prevSenderKey !== currentSenderKey;
-      prevSenderKey = currentSenderKey;
-    });
-
+  if (removedCount > 0) {
+    commitConversation(conversationKey);
     console.log(`[message-store] Synced with main chat, removed ${removedCount} deleted messages`);
   }
 
@@ -407,9 +1041,9 @@ export function syncWithMainChat() {
 }
 
 /**
- * Reconstructs phone messages from main SillyTavern chat
- * Called when phone opens to restore messages after page reload
- * Only reconstructs if the phone message store is empty for current conversation
+ * Imports phone messages from the main SillyTavern chat
+ * One-time import for chats saved before phone threads were persisted in
+ * chat metadata. Runs once per chat, and only if the conversation is empty.
  * @returns {number} Number of messages reconstructed
  */
 export function reconstructFromMainChat() {
@@ -421,25 +1055,35 @@ export function reconstructFromMainChat() {
     return 0;
   }
 
-  // Only reconstruct if store is empty for this conversation
-  initializeConversationStore(conversationKey);
-  if (messageStore[conversationKey].messages.length > 0) {
+  const phoneStore = getPhoneStore();
+  if (!phoneStore || phoneStore.legacyImported) {
+    return 0;
+  }
+
+  const store = initializeConversationStore(conversationKey);
+  phoneStore.legacyImported = true;
+
+  if (store.messages.length > 0) {
     console.log('[message-store] Messages already exist, skipping reconstruction');
+    saveStore();
     return 0;
   }
 
   if (!context.chat || context.chat.length === 0) {
     console.log('[message-store] No chat history to reconstruct from');
+    saveStore();
     return 0;
   }
 
   const inGroup = isInGroupChat();
   let reconstructedCount = 0;
   let lastSender = null;
+  let chatChanged = false;
 
   // Iterate through main chat and find phone messages
-  context.chat.forEach((msg, index) => {
-    if (!msg.extra?.isPhoneMessage) {
+  context.chat.forEach(msg => {
+    // Digests are newer than the stores this imports, so they are skipped too
+    if (!msg.extra?.isPhoneMessage || msg.extra.isPhoneDigest) {
       return; // Skip non-phone messages
     }
 
@@ -447,31 +1091,25 @@ export function reconstructFromMainChat() {
     const isUser = msg.is_user;
     const characterName = msg.extra?.characterName || msg.name;
 
+    // Look up the sending character - prefer the avatar ST displayed over the name
+    const character = isUser ? null : context.characters?.find(c =>
+      (msg.force_avatar && msg.force_avatar.includes(encodeURIComponent(c.avatar))) ||
+      c.name === characterName
+    );
+
     // Get avatar URL - use force_avatar if available, otherwise look up
     let avatarUrl = msg.force_avatar || '';
-    if (!avatarUrl && !isUser) {
-      const character = context.characters?.find(c => c.name === characterName);
-      if (character?.avatar) {
-        avatarUrl = `/thumbnail?type=avatar&file=${encodeURIComponent(character.avatar)}`;
-      }
+    if (!avatarUrl && character?.avatar) {
+      avatarUrl = `/thumbnail?type=avatar&file=${encodeURIComponent(character.avatar)}`;
     }
 
     // Extract text (remove phone emoji prefix if present)
-    let text = msg.mes || '';
-    if (text.startsWith('📱 ')) {
-      text = text.substring(3);
-    } else if (text.startsWith('📱')) {
-      text = text.substring(2);
-    }
+    const text = stripPhonePrefix(msg.mes);
 
-    // Determine character ID for groups
+    // Character ID matches what live messages use (avatar filename, or name as fallback)
     let characterId = null;
     if (inGroup && !isUser) {
-      // Try to find character ID by name
-      const charIndex = context.characters?.findIndex(c => c.name === characterName);
-      if (charIndex !== -1) {
-        characterId = String(charIndex);
-      }
+      characterId = character ? (character.avatar || character.name) : characterName;
     }
 
     // Determine if first in sequence
@@ -479,8 +1117,12 @@ export function reconstructFromMainChat() {
     const isFirstInSequence = lastSender !== currentSenderKey;
     lastSender = currentSenderKey;
 
-    // Use phoneMessageId if available, otherwise generate from index
-    const messageId = msg.extra?.phoneMessageId || (msg.send_date || Date.now() + index);
+    // Use phoneMessageId if available, otherwise generate one and link it back
+    if (!msg.extra.phoneMessageId) {
+      msg.extra.phoneMessageId = generateId();
+      chatChanged = true;
+    }
+    const messageId = msg.extra.phoneMessageId;
 
     const reconstructedMessage = {
       id: messageId,
@@ -494,22 +1136,442 @@ export function reconstructFromMainChat() {
       reconstructed: true // Mark as reconstructed for debugging
     };
 
-    messageStore[conversationKey].messages.push(reconstructedMessage);
+    if (msg.extra?.edited) {
+      reconstructedMessage.edited = true;
+      reconstructedMessage.editedAt = new Date(msg.extra.editedAt || msg.send_date || Date.now());
+    }
+
+    store.messages.push(reconstructedMessage);
     reconstructedCount++;
   });
 
   // Update lastSender based on final message
-  if (messageStore[conversationKey].messages.length > 0) {
-    const lastMsg = messageStore[conversationKey].messages[messageStore[conversationKey].messages.length - 1];
-    if (lastMsg.sender === 'user') {
-      messageStore[conversationKey].lastSender = 'user';
-    } else if (lastMsg.characterId) {
-      messageStore[conversationKey].lastSender = lastMsg.characterId;
-    } else {
-      messageStore[conversationKey].lastSender = 'character';
-    }
+  if (store.messages.length > 0) {
+    store.lastSender = getSenderKey(store.messages[store.messages.length - 1]);
   }
 
+  commitConversation(conversationKey);
+  if (chatChanged && typeof context.saveChat === 'function') {
+    context.saveChat();
+  }
   console.log(`[message-store] Reconstructed ${reconstructedCount} messages from main chat`);
   return reconstructedCount;
 }
+
+/**
+ * Gets the threads of the current conversation
+ * @param {boolean} [includeArchived] - Whether to include archived threads
+ * @returns {Array} Threads (without their messages), in creation order
+ */
+export function getThreads(includeArchived = false) {
+  const conversationKey = getConversationKey();
+  const conversation = conversationKey ? getConversation(conversationKey) : null;
+  if (!conversation) {
+    return [];
+  }
+
+  return Object.values(conversation.threads)
+    .filter(thread => includeArchived || !thread.archived)
+    .map(thread => ({
+      id: thread.id,
+      name: thread.name,
+      archived: thread.archived,
+      createdAt: thread.createdAt,
+      messageCount: thread.messages.length,
+      isActive: thread.id === conversation.activeThreadId
+    }));
+}
+
+/**
+ * Gets the active thread of the current conversation
+ * @returns {Object|null} Thread info (id, name, archived) or null
+ */
+export function getCurrentThread() {
+  return getThreads(true).find(thread => thread.isActive) || null;
+}
+
+/**
+ * Creates a new thread in the current conversation and switches to it
+ * @param {string} name - Thread name
+ * @returns {Object|null} Created thread info, or null if no conversation is active
+ */
+export function createThread(name) {
+  const conversationKey = getConversationKey();
+  if (!conversationKey || !initializeConversationStore(conversationKey)) {
+    return null;
+  }
+
+  const conversation = getConversation(conversationKey);
+  const thread = createThreadObject(name?.trim() || `Thread ${Object.keys(conversation.threads).length + 1}`);
+  conversation.threads[thread.id] = thread;
+  conversation.activeThreadId = thread.id;
+
+  commitConversation(conversationKey);
+  console.log('[message-store] Thread created:', thread.name);
+  return getCurrentThread();
+}
+
+/**
+ * Renames a thread in the current conversation
+ * @param {string} threadId - Thread ID
+ * @param {string} name - New thread name
+ * @returns {boolean} True if renamed
+ */
+export function renameThread(threadId, name) {
+  const conversationKey = getConversationKey();
+  const thread = getConversation(conversationKey)?.threads[threadId];
+  if (!thread || !name?.trim()) {
+    return false;
+  }
+
+  thread.name = name.trim();
+  saveStore();
+  console.log('[message-store] Thread renamed:', thread.name);
+  return true;
+}
+
+/**
+ * Archives or unarchives a thread in the current conversation
+ * Archiving the active thread switches to another thread (creating one if needed)
+ * @param {string} threadId - Thread ID
+ * @param {boolean} [archived] - True to archive, false to restore
+ * @returns {boolean} True if changed
+ */
+export function archiveThread(threadId, archived = true) {
+  const conversationKey = getConversationKey();
+  const conversation = getConversation(conversationKey);
+  const thread = conversation?.threads[threadId];
+  if (!thread) {
+    return false;
+  }
+
+  thread.archived = archived;
+
+  if (archived && conversation.activeThreadId === threadId) {
+    const nextThread = Object.values(conversation.threads).find(t => !t.archived);
+    if (nextThread) {
+      conversation.activeThreadId = nextThread.id;
+    } else {
+      const newThread = createThreadObject(DEFAULT_THREAD_NAME);
+      conversation.threads[newThread.id] = newThread;
+      conversation.activeThreadId = newThread.id;
+    }
+  }
+
+  commitConversation(conversationKey);
+  console.log(`[message-store] Thread ${archived ? 'archived' : 'restored'}:`, thread.name);
+  return true;
+}
+
+/**
+ * Switches the current conversation to another thread
+ * @param {string} threadId - Thread ID
+ * @returns {boolean} True if switched
+ */
+export function switchThread(threadId) {
+  const conversationKey = getConversationKey();
+  const conversation = getConversation(conversationKey);
+  const thread = conversation?.threads[threadId];
+  if (!thread) {
+    return false;
+  }
+
+  thread.archived = false;
+  conversation.activeThreadId = threadId;
+  commitConversation(conversationKey);
+  console.log('[message-store] Switched to thread:', thread.name);
+  return true;
+}
+
+/**
+ * Gets the conversation key of the active chat
+ * @returns {string|null} Conversation key, or null if no chat is selected
+ */
+export function getActiveConversationKey() {
+  return getConversationKey();
+}
+
+/**
+ * Gets inbox entries for every conversation with phone history
+ * @returns {Array} Inbox entries, most recent first
+ */
+export function getInboxEntries() {
+  const inbox = extension_settings[extensionName]?.phoneInbox || {};
+  return Object.values(inbox).sort((a, b) => (b.lastTimestamp || 0) - (a.lastTimestamp || 0));
+}
+
+/**
+ * Marks a conversation as read in the inbox
+ * @param {string} [conversationKey] - Conversation key (defaults to the active chat)
+ */
+export function markConversationRead(conversationKey = getConversationKey()) {
+  const entry = extension_settings[extensionName]?.phoneInbox?.[conversationKey];
+  if (entry && entry.unread > 0) {
+    entry.unread = 0;
+    getContext().saveSettingsDebounced?.();
+  }
+}
+
+/**
+ * Gets a chat-wide value stored alongside the conversations (e.g. the story clock)
+ * @param {string} key - Value name
+ * @returns {*} Stored value, or undefined if not set or no chat is loaded
+ */
+export function getChatValue(key) {
+  return getPhoneStore()?.[key];
+}
+
+/**
+ * Sets a chat-wide value stored alongside the conversations and saves it
+ * @param {string} key - Value name
+ * @param {*} value - Value to store (null removes it)
+ * @returns {boolean} True if saved
+ */
+export function setChatValue(key, value) {
+  const store = getPhoneStore();
+  if (!store) {
+    return false;
+  }
+
+  if (value === null || value === undefined) {
+    delete store[key];
+  } else {
+    store[key] = value;
+  }
+  saveStore();
+  return true;
+}
+
+/**
+ * Gets the characters with replies held back in the current conversation
+ * (e.g. while they are unavailable)
+ * @returns {Array<{characterId: string, queuedAt: number}>} Pending replies, oldest first
+ */
+export function getPendingReplies() {
+  const conversation = getConversation(getConversationKey());
+  return conversation?.pendingReplies || [];
+}
+
+/**
+ * Queues a held-back reply from a character in the current conversation
+ * A character is only queued once
+ * @param {string} characterId - Character ID (avatar filename)
+ */
+export function queuePendingReply(characterId) {
+  const conversationKey = getConversationKey();
+  if (!conversationKey || !initializeConversationStore(conversationKey)) {
+    return;
+  }
+
+  const conversation = getConversation(conversationKey);
+  conversation.pendingReplies = conversation.pendingReplies || [];
+  if (!conversation.pendingReplies.some(p => p.characterId === characterId)) {
+    conversation.pendingReplies.push({ characterId, queuedAt: Date.now() });
+    saveStore();
+  }
+}
+
+/**
+ * Removes a character's held-back reply from the current conversation
+ * @param {string} characterId - Character ID (avatar filename)
+ */
+export function clearPendingReply(characterId) {
+  const conversation = getConversation(getConversationKey());
+  if (!conversation?.pendingReplies) {
+    return;
+  }
+
+  const remaining = conversation.pendingReplies.filter(p => p.characterId !== characterId);
+  if (remaining.length !== conversation.pendingReplies.length) {
+    conversation.pendingReplies = remaining;
+    saveStore();
+  }
+}
+
+/**
+ * Loads a conversation's messages from another chat file without switching chats
+ * Reads the phone store out of that chat's metadata (read-only)
+ * @param {Object} entry - Inbox entry (see getInboxEntries)
+ * @returns {Promise<Array|null>} Messages, or null if the chat couldn't be loaded
+ */
+export async function loadConversationFromChatFile(entry) {
+  const context = getContext();
+  if (!entry?.chatFile) {
+    return null;
+  }
+
+  try {
+    const host = getInboxHost(entry);
+    const isGroup = host.type === 'group';
+    const response = await fetch(isGroup ? '/api/chats/group/get' : '/api/chats/get', {
+      method: 'POST',
+      headers: context.getRequestHeaders(),
+      body: JSON.stringify(isGroup
+        ? { id: entry.chatFile }
+        : { ch_name: host.name, file_name: entry.chatFile, avatar_url: host.avatars?.[0] })
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    // The chat file header holds the metadata; older group chats keep it on the group
+    const lines = await response.json();
+    let metadata = Array.isArray(lines) ? lines.find(line => line?.chat_metadata)?.chat_metadata : null;
+    if (!metadata && isGroup) {
+      const group = (context.groups || []).find(g => g.id === host.groupId);
+      if (group?.chat_id === entry.chatFile) {
+        metadata = group.chat_metadata;
+      }
+    }
+
+    const conversation = metadata?.[extensionName]?.conversations?.[entry.key];
+    if (!conversation) {
+      return [];
+    }
+
+    // Stores saved before threads existed keep messages on the conversation
+    const thread = conversation.threads
+      ? conversation.threads[conversation.activeThreadId]
+      : { createdAt: null, messages: conversation.messages || [] };
+
+    // Deep copy so the read-only view never touches the other chat's data
+    const store = JSON.parse(JSON.stringify({ conversations: { [entry.key]: { threads: { active: thread } } } }));
+    hydrateStore(store);
+    return store.conversations[entry.key].threads.active.messages;
+  } catch (error) {
+    console.error('[message-store] Failed to load conversation from chat file:', error);
+    return null;
+  }
+}
+
+/**
+ * Gets the chat an inbox entry's conversation is stored in
+ * Ad-hoc groups are stored in the chat they were created from
+ * @param {Object} entry - Inbox entry (see getInboxEntries)
+ * @returns {{type: string, name: string, avatars: string[], groupId: string|null}} Chat info
+ */
+export function getInboxHost(entry) {
+  return entry.host || entry;
+}
+
+/**
+ * Creates a phone-only group with any characters, stored in the current chat
+ * @param {string} name - Group name
+ * @param {string[]} members - Member avatar filenames
+ * @returns {string|null} Conversation key of the new group, or null if no chat is loaded
+ */
+export function createAdHocGroup(name, members) {
+  const store = getPhoneStore();
+  if (!store || members.length === 0) {
+    return null;
+  }
+
+  const thread = createThreadObject(DEFAULT_THREAD_NAME);
+  const conversationKey = generateId('adhoc');
+  store.conversations[conversationKey] = {
+    type: 'adhoc',
+    name: name?.trim() || 'Group',
+    members: [...members],
+    settings: { ...DEFAULT_ADHOC_SETTINGS },
+    createdAt: new Date(),
+    activeThreadId: thread.id,
+    threads: { [thread.id]: thread }
+  };
+
+  saveStore();
+  console.log('[message-store] Ad-hoc group created:', name);
+  return conversationKey;
+}
+
+/**
+ * Gets the ad-hoc groups stored in the current chat
+ * @returns {Array<{key: string, name: string, members: string[], settings: Object, createdAt: Date}>}
+ */
+export function getAdHocGroups() {
+  const store = getPhoneStore();
+  if (!store) {
+    return [];
+  }
+
+  return Object.entries(store.conversations)
+    .filter(([, conversation]) => conversation.type === 'adhoc')
+    .map(([key, conversation]) => ({
+      key,
+      name: conversation.name,
+      members: conversation.members,
+      settings: { ...DEFAULT_ADHOC_SETTINGS, ...conversation.settings },
+      createdAt: conversation.createdAt
+    }));
+}
+
+/**
+ * Gets the ad-hoc group open in the phone
+ * @returns {Object|null} Group (see getAdHocGroups), or null if the chat's own conversation is open
+ */
+export function getAdHocGroup() {
+  if (!activeAdHocKey) {
+    return null;
+  }
+  return getAdHocGroups().find(group => group.key === activeAdHocKey) || null;
+}
+
+/**
+ * Opens an ad-hoc group in the phone, or goes back to the chat's own conversation
+ * @param {string|null} conversationKey - Ad-hoc group key, or null
+ * @returns {boolean} True if the group was opened (or closed)
+ */
+export function openAdHocGroup(conversationKey) {
+  if (conversationKey && !getAdHocGroups().some(group => group.key === conversationKey)) {
+    return false;
+  }
+  activeAdHocKey = conversationKey || null;
+  return true;
+}
+
+/**
+ * Updates an ad-hoc group's name, members or reply order settings
+ * @param {string} conversationKey - Ad-hoc group key
+ * @param {Object} changes - Any of name, members and settings
+ * @returns {boolean} True if updated
+ */
+export function updateAdHocGroup(conversationKey, { name, members, settings } = {}) {
+  const conversation = getConversation(conversationKey);
+  if (conversation?.type !== 'adhoc') {
+    return false;
+  }
+
+  if (name?.trim()) {
+    conversation.name = name.trim();
+  }
+  if (members?.length) {
+    conversation.members = [...members];
+  }
+  if (settings) {
+    conversation.settings = { ...DEFAULT_ADHOC_SETTINGS, ...conversation.settings, ...settings };
+  }
+
+  commitConversation(conversationKey);
+  return true;
+}
+
+/**
+ * Deletes an ad-hoc group and its messages
+ * @param {string} conversationKey - Ad-hoc group key
+ * @returns {boolean} True if deleted
+ */
+export function deleteAdHocGroup(conversationKey) {
+  const store = getPhoneStore();
+  if (store?.conversations[conversationKey]?.type !== 'adhoc') {
+    return false;
+  }
+
+  delete store.conversations[conversationKey];
+  if (activeAdHocKey === conversationKey) {
+    activeAdHocKey = null;
+  }
+
+  commitConversation(conversationKey);
+  console.log('[message-store] Ad-hoc group deleted:', conversationKey);
+  return true;
+}
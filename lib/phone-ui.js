@@ -4,35 +4,54 @@
  */
 
 import { getContext, extension_settings } from "../../../../extensions.js";
-import { addMessage, getMessages, getLastMessages, clearMessages, removeMessage, editMessage, restoreMessage, getMessageById, reconstructFromMainChat } from "./message-store.js";
-import { activateTextingMode, deactivateTextingMode } from "./prompt-manager.js";
-import { addMessageToMainChat, editMessageInMainChat, deleteMessageFromMainChat } from "./context-bridge.js";
+import { addMessage, getMessages, getLastMessages, clearMessages, removeMessage, editMessage, restoreMessage, getMessageById, reconstructFromMainChat, applyMainChatMirrors, getActiveConversationKey, getInboxEntries, markConversationRead, loadConversationFromChatFile, addSwipe, setSwipe, getThreads, getCurrentThread, createThread, renameThread, archiveThread, switchThread, getPendingReplies, queuePendingReply, clearPendingReply, getChatConversationKey, getInboxHost, createAdHocGroup, getAdHocGroups, getAdHocGroup, openAdHocGroup, updateAdHocGroup, deleteAdHocGroup, isInGroupChat } from "./message-store.js";
+import { activateTextingMode, deactivateTextingMode, withTextingModePrompt, buildCharacterStylePrompt, buildRawSystemPrompt } from "./prompt-manager.js";
+import { addMessageToMainChat, editMessageInMainChat, deleteMessageFromMainChat, getSceneContext, getMirrorMode, getMainChatMirrors, syncDigestEdits, startDigestSession, endDigestSession } from "./context-bridge.js";
+import { generateReply, stopReplyGeneration, isRawGenerationEnabled } from "./generation.js";
+import { canCharacterTextFirst, updateCharacterTextingData, getTextingProfile } from "./character-settings.js";
+import { getAvailability, isCharacterAvailable } from "./availability.js";
+import { getStoryTime, isStoryClockSet, setStoryTime, advanceStoryTime, advanceStoryTimeTo, resetStoryClock, getMessageStoryTime, formatStoryTime } from "./story-clock.js";
+import { processReply, isMostlyNarration, isReplyProcessorEnabled } from "./reply-pipeline.js";
+import { activateGroupMembers, ACTIVATION_STRATEGY } from "./group-activation.js";
+import { findMentions, splitMentions, getMentionQuery } from "./mentions.js";
+import { getPhoneLore } from "./world-info.js";
+import { summarizeSession, summarizeOnClose } from "./session-summary.js";
 
 const extensionName = "st-text-messaging";
 let isPhoneOpen = false;
 let currentGroupId = null; // Track current group for group chats
 let visualViewportHandler = null; // Store reference for cleanup
+let currentView = 'thread'; // 'thread' or 'inbox'
+let remoteThread = null; // { entry, messages } when viewing a thread from another chat
+let stopRequested = false; // Set by the stop button to skip queued replies
+let cancelTypingWait = null; // Ends the current typing delay early
+let isGeneratingReply = false; // True while a reply is being generated
+let isProcessingPending = false; // True while held-back replies are being answered
+let banterRun = 0; // Incremented to end the running group banter
+let cancelBanterWait = null; // Ends the current wait between banter rounds early
+let nextSenderId = null; // Group member picked to answer the next message
+let mentionStart = -1; // Position of the "@" being autocompleted (-1 when closed)
+let editingAdHocKey = null; // Ad-hoc group being edited in the group sheet (null when creating)
+
+// Reply splitting and typing delay limits
+const SPLIT_PARAGRAPH_LENGTH = 160;
+const MAX_REPLY_BUBBLES = 5;
+const MIN_TYPING_DELAY = 600;
+const MAX_TYPING_DELAY = 4000;
+
+// Held-back replies: how often to check, and how long a character takes to
+// answer once they are available again
+const PENDING_CHECK_INTERVAL = 30 * 1000;
+const PENDING_REPLY_MIN_DELAY = 5 * 1000;
+const PENDING_REPLY_MAX_DELAY = 20 * 1000;
 
 /**
- * Checks if currently in a group chat
- * @returns {boolean}
- */
-function isInGroupChat() {
-  const context = getContext();
-  return !!context.groupId;
-}
-
-/**
- * Gets group members from context
+ * Gets group members from context (or from the open ad-hoc group)
  * @returns {Array} Array of character objects in the group
  */
-function getGroupMembers() {
+export function getGroupMembers() {
   const context = getContext();
-  if (!context.groupId) return [];
-
-  // ST stores groups in context.groups array
-  const groups = context.groups || [];
-  const group = groups.find(g => g.id === context.groupId);
+  const group = getCurrentGroup();
 
   if (!group || !group.members) return [];
 
@@ -50,17 +69,14 @@ function getGroupMembers() {
 }
 
 /**
- * Gets the conversation key for message storage
- * For individual chats: characterId
- * For group chats: groupId
- * @returns {string|null}
+ * Checks if the thread being viewed is a group thread
+ * @returns {boolean}
  */
-function getConversationKey() {
-  const context = getContext();
-  if (context.groupId) {
-    return `group_${context.groupId}`;
+function isGroupThread() {
+  if (remoteThread) {
+    return remoteThread.entry.type === 'group';
   }
-  return context.characterId !== undefined ? String(context.characterId) : null;
+  return isInGroupChat();
 }
 
 /**
@@ -81,6 +97,7 @@ export function openPhoneUI() {
 
   // Set isPhoneOpen BEFORE showing container (needed for mobile viewport handler)
   isPhoneOpen = true;
+  startDigestSession();
 
   // Show phone container with animation
   const $phoneContainer = $('#phone-ui-container');
@@ -97,30 +114,555 @@ export function openPhoneUI() {
     $phoneContainer.show();
   }
 
-  // Setup header based on chat type
-  if (inGroupChat) {
+  // Import phone messages from main chat for chats saved before threads were persisted
+  const reconstructedCount = reconstructFromMainChat();
+  if (reconstructedCount > 0) {
+    console.log(`[phone-ui] Imported ${reconstructedCount} legacy messages from main chat`);
+  }
+
+  // Pick up mirror changes no event reported, without flagging them as edited
+  syncFromMainChat({ markEdited: false });
+
+  // Show the active chat's thread
+  remoteThread = null;
+  showThread();
+  $('#phone-toggle-btn, #phone-topbar-btn').removeClass('has-unread');
+
+  // Activate texting mode (inject prompts + context)
+  activateTextingMode();
+
+  // Focus on input field
+  $('#phone-message-input').focus();
+
+  console.log('[phone-ui] Phone UI opened');
+}
+
+/**
+ * Sets up the phone header for the thread being viewed
+ */
+function setupThreadHeader() {
+  const context = getContext();
+
+  $('#phone-header-inbox').hide();
+  $('#phone-inbox-btn').show();
+
+  if (remoteThread) {
+    setupRemoteHeader(remoteThread.entry);
+  } else if (isInGroupChat()) {
     setupGroupHeader(context);
     console.log('[phone-ui] Opening in group mode, groupId:', context.groupId);
   } else {
     setupSingleHeader(context);
   }
 
-  // Reconstruct phone messages from main chat if needed (e.g., after page reload)
-  const reconstructedCount = reconstructFromMainChat();
-  if (reconstructedCount > 0) {
-    console.log(`[phone-ui] Restored ${reconstructedCount} messages from main chat`);
+  updateThreadLabel();
+  $('#phone-reply-order-btn').toggle(!remoteThread && isInGroupChat());
+  $('#phone-clock-btn').toggle(!remoteThread);
+  $('#phone-reply-sheet').hide();
+  $('#phone-new-group-btn').hide();
+  $('#phone-adhoc-sheet').hide();
+  $('#phone-clock-sheet').hide();
+}
+
+/**
+ * Shows the active thread's name in the header when the contact has several threads
+ */
+function updateThreadLabel() {
+  const thread = remoteThread ? null : getCurrentThread();
+  const showLabel = thread && getThreads().length > 1;
+
+  $('#phone-thread-label').text(thread?.name || '').toggle(!!showLabel);
+  $('#phone-threads-btn').toggle(!remoteThread);
+}
+
+/**
+ * Toggles the thread switcher sheet
+ */
+function toggleThreadSheet() {
+  const $sheet = $('#phone-thread-sheet');
+  if ($sheet.is(':visible')) {
+    $sheet.slideUp(150);
+  } else {
+    renderThreadList();
+    renderTextFirstSwitches();
+    $('#phone-reply-sheet, #phone-adhoc-sheet, #phone-clock-sheet').hide();
+    $sheet.slideDown(150);
+  }
+}
+
+/**
+ * Renders the per-character "can text first" switches for this conversation
+ */
+function renderTextFirstSwitches() {
+  const $list = $('#phone-text-first-list');
+  $list.empty();
+
+  const participants = isInGroupChat() ? getGroupMembers() : [getCurrentCharacter()];
+  participants.forEach(character => {
+    $list.append(`
+      <label class="phone-text-first-entry">
+        <input type="checkbox" data-avatar="${escapeHtml(character.avatar || '')}" ${canCharacterTextFirst(character) ? 'checked' : ''} />
+        <span>${escapeHtml(character.name)}</span>
+      </label>
+    `);
+  });
+}
+
+/**
+ * Saves a character's "can text first" switch to their card
+ * @param {string} avatar - Character avatar filename
+ * @param {boolean} enabled - Whether the character may text first
+ */
+async function setCharacterTextFirst(avatar, enabled) {
+  const context = getContext();
+  const character = context.characters.find(c => c.avatar === avatar);
+  const saved = await updateCharacterTextingData(character, { textFirst: enabled });
+  if (!saved) {
+    toastr.error('Could not save the setting to the character card');
+    renderTextFirstSwitches();
+  }
+}
+
+/**
+ * Renders the threads of the current conversation in the thread sheet
+ */
+function renderThreadList() {
+  const includeArchived = $('#phone-show-archived-threads').prop('checked');
+  const $list = $('#phone-thread-list').empty();
+
+  getThreads(includeArchived).forEach(thread => {
+    $list.append(`
+      <div class="thread-entry ${thread.isActive ? 'active' : ''} ${thread.archived ? 'archived' : ''}"
+           data-thread-id="${thread.id}">
+        <span class="thread-entry-name">${escapeHtml(thread.name)}</span>
+        <span class="thread-entry-count">${thread.messageCount}</span>
+        <button class="thread-action-btn thread-rename" title="Rename">
+          <i class="fa-solid fa-pen"></i>
+        </button>
+        <button class="thread-action-btn thread-archive" title="${thread.archived ? 'Unarchive' : 'Archive'}">
+          <i class="fa-solid ${thread.archived ? 'fa-box-open' : 'fa-box-archive'}"></i>
+        </button>
+      </div>
+    `);
+  });
+}
+
+/**
+ * Switches to a thread and re-renders the phone
+ * @param {string} threadId - Thread ID
+ */
+function openThread(threadId) {
+  if (!switchThread(threadId)) return;
+
+  cancelBanter();
+  setNextSender(null);
+  $('#phone-thread-sheet').slideUp(150);
+  showThread();
+}
+
+/**
+ * Creates a thread from the thread sheet input and switches to it
+ */
+function createThreadFromInput() {
+  const $input = $('#phone-new-thread-name');
+  const thread = createThread($input.val());
+  if (!thread) return;
+
+  $input.val('');
+  $('#phone-thread-sheet').slideUp(150);
+  showThread();
+  toastr.success(`Started thread "${thread.name}"`);
+}
+
+/**
+ * Enters inline rename mode for a thread entry
+ * @param {jQuery} $entry - Thread entry element
+ */
+function enterThreadRenameMode($entry) {
+  const threadId = $entry.attr('data-thread-id');
+  const $name = $entry.find('.thread-entry-name');
+  const $input = $(`<input type="text" class="thread-rename-input" value="${escapeHtml($name.text())}">`);
+
+  $name.replaceWith($input);
+  $input.focus().select();
+
+  $input.on('click', e => e.stopPropagation());
+  $input.on('keydown', function (e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      renameThread(threadId, $input.val());
+      renderThreadList();
+      updateThreadLabel();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      renderThreadList();
+    }
+  });
+  $input.on('blur', () => renderThreadList());
+}
+
+/**
+ * Sets up header for a thread from another chat
+ * @param {Object} entry - Inbox entry
+ */
+function setupRemoteHeader(entry) {
+  const avatarUrls = (entry.avatars || []).map(getAvatarThumbnailUrl);
+
+  if (entry.type === 'group') {
+    $('#phone-header-single').hide();
+    $('#phone-header-group').show();
+    $('#phone-group-avatars').html(buildAvatarStackHtml(avatarUrls, entry.name));
+    $('#phone-group-name').text(entry.name);
+  } else {
+    $('#phone-header-group').hide();
+    $('#phone-header-single').show();
+    $('#phone-contact-name').text(entry.name);
+    $('#phone-contact-avatar').attr('src', avatarUrls[0] || '').toggle(avatarUrls.length > 0);
+  }
+}
+
+/**
+ * Gets the thumbnail URL for an avatar file
+ * @param {string} avatarFile - Avatar filename
+ * @returns {string} Thumbnail URL
+ */
+function getAvatarThumbnailUrl(avatarFile) {
+  return `/thumbnail?type=avatar&file=${encodeURIComponent(avatarFile)}`;
+}
+
+/**
+ * Builds stacked avatar HTML (up to 3 avatars)
+ * @param {Array} avatarUrls - Avatar URLs
+ * @param {string} altText - Alt text for the avatars
+ * @returns {string} Avatar stack HTML
+ */
+function buildAvatarStackHtml(avatarUrls, altText) {
+  if (avatarUrls.length === 0) {
+    return '<div class="group-avatar-placeholder"><i class="fa-solid fa-users"></i></div>';
   }
 
-  // Render existing messages
+  return avatarUrls.slice(0, 3).map((url, index) => `
+    <img class="group-avatar"
+         src="${url}"
+         alt="${escapeHtml(altText)}"
+         style="z-index: ${3 - index}; margin-left: ${index > 0 ? '-8px' : '0'};">
+  `).join('');
+}
+
+/**
+ * Shows the thread view (active chat's thread, or a remote thread)
+ */
+function showThread() {
+  currentView = 'thread';
+
+  $('#phone-inbox').hide();
+  $('#phone-viewport').show();
+  $('.phone-input-area').toggle(!remoteThread);
+  $('#phone-remote-bar').toggle(!!remoteThread);
+
+  setupThreadHeader();
   renderAllMessages();
 
-  // Activate texting mode (inject prompts + context)
+  if (!remoteThread) {
+    markConversationRead();
+  }
+}
+
+/**
+ * Shows the inbox listing every phone thread
+ */
+function showInbox() {
+  currentView = 'inbox';
+
+  $('#phone-viewport').hide();
+  $('.phone-input-area').hide();
+  $('#phone-remote-bar').hide();
+  $('#phone-header-single').hide();
+  $('#phone-header-group').hide();
+  $('#phone-inbox-btn').hide();
+  $('#phone-thread-label').hide();
+  $('#phone-threads-btn').hide();
+  $('#phone-thread-sheet').hide();
+  $('#phone-reply-order-btn').hide();
+  $('#phone-reply-sheet').hide();
+  $('#phone-clock-btn').hide();
+  $('#phone-clock-sheet').hide();
+  $('#phone-new-group-btn').toggle(getActiveConversationKey() !== null);
+  $('#phone-header-inbox').show();
+  $('#phone-inbox').show();
+
+  renderInbox();
+}
+
+/**
+ * Renders the inbox entries
+ */
+function renderInbox() {
+  const $list = $('#phone-inbox-list').empty();
+  const activeKey = getActiveConversationKey();
+
+  // New ad-hoc groups have no inbox entry until the first message
+  const entries = getInboxEntries();
+  getAdHocGroups()
+    .filter(group => !entries.some(entry => entry.key === group.key))
+    .forEach(group => entries.unshift({
+      key: group.key,
+      type: 'group',
+      name: group.name,
+      avatars: group.members.slice(0, 3),
+      lastText: 'No messages yet',
+      lastTimestamp: new Date(group.createdAt).getTime(),
+      unread: 0
+    }));
+
+  if (entries.length === 0) {
+    $list.append('<div class="phone-inbox-empty">No text conversations yet</div>');
+    return;
+  }
+
+  entries.forEach(entry => {
+    const avatarUrls = (entry.avatars || []).map(getAvatarThumbnailUrl);
+    const avatarHtml = entry.type === 'group'
+      ? `<div class="group-avatar-stack">${buildAvatarStackHtml(avatarUrls, entry.name)}</div>`
+      : (avatarUrls[0]
+        ? `<img class="phone-contact-avatar" src="${avatarUrls[0]}" alt="${escapeHtml(entry.name)}">`
+        : '<div class="group-avatar-placeholder"><i class="fa-solid fa-user"></i></div>');
+    const preview = entry.lastSender ? `${entry.lastSender}: ${entry.lastText}` : entry.lastText;
+
+    $list.append(`
+      <div class="inbox-entry ${entry.key === activeKey ? 'current' : ''} ${entry.unread > 0 ? 'unread' : ''}"
+           data-conversation-key="${escapeHtml(entry.key)}">
+        <div class="inbox-entry-avatar">${avatarHtml}</div>
+        <div class="inbox-entry-body">
+          <div class="inbox-entry-top">
+            <span class="inbox-entry-name">${escapeHtml(entry.name)}</span>
+            <span class="inbox-entry-time">${formatTimestamp(new Date(entry.lastTimestamp))}</span>
+          </div>
+          <div class="inbox-entry-bottom">
+            <span class="inbox-entry-preview">${escapeHtml(preview || '')}</span>
+            ${entry.unread > 0 ? `<span class="inbox-unread-badge">${entry.unread}</span>` : ''}
+          </div>
+        </div>
+      </div>
+    `);
+  });
+}
+
+/**
+ * Opens a thread from the inbox without switching the active chat
+ * @param {string} conversationKey - Conversation key of the inbox entry
+ */
+async function openInboxEntry(conversationKey) {
+  if (conversationKey === getActiveConversationKey()) {
+    remoteThread = null;
+    showThread();
+    return;
+  }
+
+  // Conversations stored in this chat open directly
+  const isAdHoc = getAdHocGroups().some(group => group.key === conversationKey);
+  if (isAdHoc || conversationKey === getChatConversationKey()) {
+    openConversation(isAdHoc ? conversationKey : null);
+    return;
+  }
+
+  const entry = getInboxEntries().find(e => e.key === conversationKey);
+  if (!entry) return;
+
+  const messages = await loadConversationFromChatFile(entry);
+  if (messages === null) {
+    toastr.error('Could not load this conversation');
+    return;
+  }
+
+  remoteThread = { entry, messages };
+  markConversationRead(conversationKey);
+  showThread();
+}
+
+/**
+ * Switches SillyTavern to the chat of the remote thread so the user can reply
+ */
+async function openRemoteChat() {
+  if (!remoteThread) return;
+
+  const context = getContext();
+  const { entry } = remoteThread;
+  const host = getInboxHost(entry);
+
+  try {
+    if (host.type === 'group') {
+      if (typeof context.openGroupChat !== 'function') {
+        throw new Error('SillyTavern context.openGroupChat is not available');
+      }
+      await context.openGroupChat(host.groupId, entry.chatFile);
+    } else {
+      const characterIndex = context.characters.findIndex(c => c.avatar === host.avatars?.[0]);
+      if (characterIndex === -1 || typeof context.selectCharacterById !== 'function') {
+        throw new Error('Character not found or selectCharacterById not available');
+      }
+      await context.selectCharacterById(String(characterIndex));
+
+      // The character may have a newer chat than the one holding this thread
+      if (entry.chatFile && context.getCurrentChatId?.() !== entry.chatFile && typeof context.openCharacterChat === 'function') {
+        await context.openCharacterChat(entry.chatFile);
+      }
+    }
+
+    // Ad-hoc groups open inside the chat they are stored in
+    if (entry.host) {
+      openConversation(entry.key);
+    }
+  } catch (error) {
+    console.error('[phone-ui] Error switching to chat:', error);
+    toastr.error('Could not switch to this chat');
+  }
+}
+
+/**
+ * Shows one of the current chat's conversations: an ad-hoc group, or the
+ * chat's own conversation
+ * @param {string|null} adHocKey - Ad-hoc group key, or null for the chat's own conversation
+ */
+function openConversation(adHocKey) {
+  openAdHocGroup(adHocKey);
+  remoteThread = null;
+  cancelBanter();
+  setNextSender(null);
+  showThread();
   activateTextingMode();
+}
 
-  // Focus on input field
-  $('#phone-message-input').focus();
+/**
+ * Opens the group sheet to create an ad-hoc group, or to edit one
+ * @param {string|null} [conversationKey] - Ad-hoc group to edit (null to create)
+ */
+function showAdHocSheet(conversationKey = null) {
+  const group = getAdHocGroups().find(g => g.key === conversationKey) || null;
+  editingAdHocKey = group?.key ?? null;
+
+  $('#phone-adhoc-name').val(group?.name ?? '');
+  $('#phone-adhoc-search').val('');
+  $('#phone-adhoc-strategy').val(String(group?.settings.activation_strategy ?? 0));
+  $('#phone-adhoc-allow-self').prop('checked', group?.settings.allow_self_responses ?? false);
+  $('#phone-adhoc-save').text(group ? 'Save' : 'Create');
+  $('#phone-adhoc-delete').toggle(Boolean(group)).removeClass('confirming').text('Delete group');
+
+  renderAdHocMemberList(group?.members ?? []);
+  $('#phone-thread-sheet, #phone-reply-sheet, #phone-clock-sheet').hide();
+  $('#phone-adhoc-sheet').slideDown(150);
+}
 
-  console.log('[phone-ui] Phone UI opened');
+/**
+ * Renders every character in the library as a member checkbox
+ * @param {string[]} selected - Avatar filenames of the checked members
+ */
+function renderAdHocMemberList(selected) {
+  const context = getContext();
+  const $list = $('#phone-adhoc-members').empty();
+
+  [...(context.characters || [])]
+    .filter(c => c.avatar)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(character => {
+      $list.append(`
+        <label class="phone-adhoc-member" data-name="${escapeHtml(character.name.toLowerCase())}">
+          <input type="checkbox" value="${escapeHtml(character.avatar)}" ${selected.includes(character.avatar) ? 'checked' : ''} />
+          <img class="reply-picker-avatar" src="${getAvatarThumbnailUrl(character.avatar)}" alt="">
+          <span>${escapeHtml(character.name)}</span>
+        </label>
+      `);
+    });
+}
+
+/**
+ * Filters the member list by the search text
+ */
+function filterAdHocMemberList() {
+  const query = String($('#phone-adhoc-search').val() || '').trim().toLowerCase();
+  $('#phone-adhoc-members .phone-adhoc-member').each((index, entry) => {
+    $(entry).toggle(!query || $(entry).attr('data-name').includes(query));
+  });
+}
+
+/**
+ * Creates or updates the ad-hoc group from the group sheet
+ */
+function saveAdHocGroupFromSheet() {
+  const members = $('#phone-adhoc-members input:checked').map((index, input) => $(input).val()).get();
+  if (members.length < 2) {
+    toastr.warning('Pick at least two characters');
+    return;
+  }
+
+  const context = getContext();
+  const name = String($('#phone-adhoc-name').val() || '').trim()
+    || members.map(avatar => context.characters.find(c => c.avatar === avatar)?.name).filter(Boolean).join(', ');
+  const settings = {
+    activation_strategy: Number($('#phone-adhoc-strategy').val()),
+    allow_self_responses: $('#phone-adhoc-allow-self').prop('checked')
+  };
+
+  let conversationKey = editingAdHocKey;
+  if (conversationKey) {
+    updateAdHocGroup(conversationKey, { name, members, settings });
+  } else {
+    conversationKey = createAdHocGroup(name, members);
+    if (!conversationKey) {
+      toastr.error('Could not create the group');
+      return;
+    }
+    updateAdHocGroup(conversationKey, { settings });
+  }
+
+  $('#phone-adhoc-sheet').slideUp(150);
+  openConversation(conversationKey);
+}
+
+/**
+ * Deletes the ad-hoc group being edited; the first tap asks for confirmation
+ */
+function deleteAdHocGroupFromSheet() {
+  const $button = $('#phone-adhoc-delete');
+  if (!$button.hasClass('confirming')) {
+    $button.addClass('confirming').text('Tap again to delete');
+    return;
+  }
+
+  const wasOpen = getAdHocGroup()?.key === editingAdHocKey;
+  deleteAdHocGroup(editingAdHocKey);
+  editingAdHocKey = null;
+  $('#phone-adhoc-sheet').slideUp(150);
+
+  if (wasOpen) {
+    openConversation(null);
+  } else {
+    renderInbox();
+  }
+}
+
+/**
+ * Resets the phone view after the active chat changed
+ * Drops any remote thread and re-renders for the new chat
+ */
+export function resetPhoneView() {
+  remoteThread = null;
+  openAdHocGroup(null);
+  cancelBanter();
+  setNextSender(null);
+
+  if (currentView === 'inbox') {
+    renderInbox();
+    return;
+  }
+
+  if (getActiveConversationKey()) {
+    reconstructFromMainChat();
+    showThread();
+    activateTextingMode();
+  } else {
+    showInbox();
+  }
 }
 
 /**
@@ -137,6 +679,7 @@ function setupSingleHeader(context) {
 
   $('#phone-contact-name').text(context.name2 || 'Character');
   $('#phone-contact-avatar').attr('src', avatarUrl).toggle(!!avatarUrl);
+  updateAvailabilityStatus();
 }
 
 /**
@@ -148,34 +691,33 @@ function setupGroupHeader(context) {
   $('#phone-header-group').show();
 
   const members = getGroupMembers();
-  const $avatarStack = $('#phone-group-avatars').empty();
 
-  // Show up to 3 avatars stacked
-  members.slice(0, 3).forEach((member, index) => {
-    const avatarUrl = member.avatar
-      ? `/thumbnail?type=avatar&file=${encodeURIComponent(member.avatar)}`
-      : '';
-
-    if (avatarUrl) {
-      $avatarStack.append(`
-        <img class="group-avatar"
-             src="${avatarUrl}"
-             alt="${escapeHtml(member.name)}"
-             style="z-index: ${3 - index}; margin-left: ${index > 0 ? '-8px' : '0'};">
-      `);
-    }
+  // Show up to 3 avatars stacked (placeholder if none)
+  const shownMembers = members
+    .slice(0, 3)
+    .filter(member => member.avatar);
+  const avatarUrls = shownMembers.map(member => getAvatarThumbnailUrl(member.avatar));
+  $('#phone-group-avatars').html(buildAvatarStackHtml(avatarUrls, members.map(m => m.name).join(', ')));
+
+  // Tapping an avatar picks that member to answer next
+  $('#phone-group-avatars .group-avatar').each((index, img) => {
+    $(img)
+      .attr('data-character-id', shownMembers[index].avatar)
+      .attr('title', `${shownMembers[index].name} replies next`);
   });
-
-  // If no avatars, show placeholder
-  if ($avatarStack.children().length === 0) {
-    $avatarStack.append('<div class="group-avatar-placeholder"><i class="fa-solid fa-users"></i></div>');
-  }
+  updateNextSenderDisplay();
 
   // Set group name - use group name from ST or fallback
-  const groups = context.groups || [];
-  const group = groups.find(g => g.id === context.groupId);
+  const group = getCurrentGroup();
   const groupName = group?.name || `Group (${members.length})`;
   $('#phone-group-name').text(groupName);
+
+  // Ad-hoc groups are edited from the phone: tap the name
+  const isAdHoc = Boolean(getAdHocGroup());
+  $('#phone-group-name')
+    .toggleClass('editable', isAdHoc)
+    .attr('title', isAdHoc ? 'Edit group' : '');
+  updateAvailabilityStatus();
 }
 
 /**
@@ -185,11 +727,9 @@ export async function closePhoneUI() {
   const $phoneContainer = $('#phone-ui-container');
   const animationsEnabled = extension_settings[extensionName]?.animationsEnabled ?? true;
 
-  // Get messages for summary injection
-  const messages = getMessages();
-
-  // Deactivate texting mode (inject summary, transition back)
-  await deactivateTextingMode(messages);
+  // Summarize the texts for the story in the background, then transition back
+  summarizeOnClose();
+  await deactivateTextingMode();
 
   // Hide phone container
   if (animationsEnabled) {
@@ -199,6 +739,11 @@ export async function closePhoneUI() {
   }
 
   isPhoneOpen = false;
+  endDigestSession();
+  cancelBanter();
+  // Background texts (proactive, held-back replies) go to the chat's own conversation
+  openAdHocGroup(null);
+  $('#phone-thread-sheet, #phone-clock-sheet').hide();
 
   // Clean up mobile keyboard handling to prevent memory leaks
   cleanupMobileKeyboardHandling();
@@ -221,16 +766,38 @@ export async function togglePhoneUI() {
 }
 
 /**
- * Renders all messages in the phone viewport
+ * Copies edits, swipes and moves of the 📱 mirrors in the main chat to the
+ * phone messages, and shows them if their thread is on screen
+ * @param {Object} [options]
+ * @param {boolean} [options.markEdited] - Flag changed texts as edited (false for swipes and moves)
+ * @returns {Promise<void>}
+ */
+export async function syncFromMainChat({ markEdited = true } = {}) {
+  const changed = applyMainChatMirrors(getMainChatMirrors(), { markEdited });
+  await syncDigestEdits();
+  if (changed && isPhoneOpen && currentView === 'thread' && !remoteThread) {
+    renderAllMessages();
+  }
+}
+
+/**
+ * Renders all messages in the phone viewport, with a separator where the
+ * story day changes
  */
 export function renderAllMessages() {
   const $viewport = $('#phone-viewport');
   $viewport.empty();
 
-  const messages = getMessages();
+  const messages = remoteThread ? remoteThread.messages : getMessages();
 
+  let previousDay = null;
   messages.forEach(msg => {
-    appendMessageToViewport(msg);
+    const day = getMessageStoryTime(msg).toDateString();
+    if (day !== previousDay) {
+      $viewport.append(buildDaySeparatorHtml(getMessageStoryTime(msg)));
+      previousDay = day;
+    }
+    $viewport.append(buildMessageHtml(msg));
   });
 
   // Scroll to bottom
@@ -238,22 +805,21 @@ export function renderAllMessages() {
 }
 
 /**
- * Appends a single message to the viewport
+ * Builds the HTML for a message row
  * @param {Object} message - Message object from message store
+ * @returns {string} Message row HTML
  */
-export function appendMessageToViewport(message) {
-  const $viewport = $('#phone-viewport');
+function buildMessageHtml(message) {
   const settings = extension_settings[extensionName] || {};
   const showTimestamps = settings.showTimestamps ?? false;
-  const animationsEnabled = settings.animationsEnabled ?? true;
-  const inGroupChat = isInGroupChat();
+  const inGroupChat = isGroupThread();
 
   // Group chat settings (inherit from base settings)
   const groupShowAvatars = settings.groupShowCharacterNames ?? true; // Repurposed: now controls avatar display
   const groupColorCode = settings.groupColorCodeCharacters ?? true;
 
-  // Format timestamp
-  const timestamp = formatTimestamp(message.timestamp);
+  // Story time of day; the day itself is shown by the separators
+  const timestamp = getMessageStoryTime(message).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 
   // For group chats, show character avatar next to their messages (first in sequence only)
   // Respects the groupShowCharacterNames setting (now controls avatar visibility)
@@ -272,11 +838,24 @@ export function appendMessageToViewport(message) {
   // Add class for group messages that need avatar spacing
   const groupMessageClass = inGroupChat && message.sender === 'character' ? 'group-message' : '';
 
-  // Build message HTML
-  const messageHtml = `
+  // Alternate replies (swipes) - arrows to switch, right arrow on the last one regenerates
+  const swipeCount = message.swipes?.length ?? 0;
+  const swipeControls = message.sender === 'character' && swipeCount > 1 && !remoteThread ? `
+        <div class="message-swipe-controls">
+          <button class="message-swipe-btn" data-direction="-1" title="Previous reply" ${message.swipeId === 0 ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-left"></i>
+          </button>
+          <span class="message-swipe-counter">${message.swipeId + 1}/${swipeCount}</span>
+          <button class="message-swipe-btn" data-direction="1" title="${message.swipeId === swipeCount - 1 ? 'Generate another reply' : 'Next reply'}">
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        </div>` : '';
+
+  return `
     <div class="message-row ${message.sender} ${characterColorClass} ${groupMessageClass}"
          data-message-id="${message.id}"
-         data-character-id="${message.characterId || ''}">
+         data-character-id="${message.characterId || ''}"
+         data-story-day="${getMessageStoryTime(message).toDateString()}">
       ${showCharacterAvatar ? `
         <img class="message-inline-avatar"
              src="${message.avatarUrl}"
@@ -284,45 +863,108 @@ export function appendMessageToViewport(message) {
              title="${escapeHtml(message.characterName)}">
       ` : (inGroupChat && message.sender === 'character' ? '<div class="message-avatar-spacer"></div>' : '')}
       <div class="message-bubble ${message.sender}">
-        <div class="message-text">${escapeHtml(message.text)}</div>
+        <div class="message-text">${renderMessageText(message)}</div>
+        ${message.edited ? '<div class="message-edited-indicator">(edited)</div>' : ''}
+        ${swipeControls}
         ${showTimestamps ? `<div class="message-timestamp">${timestamp}</div>` : ''}
       </div>
     </div>
   `;
-
-  const $message = $(messageHtml);
-
-  // Apply animation if enabled
-  if (animationsEnabled) {
-    $message.hide().appendTo($viewport).fadeIn(200);
-  } else {
-    $message.appendTo($viewport);
-  }
-
-  // Scroll to bottom
-  scrollToBottom();
 }
 
 /**
- * Creates a hash from a string for consistent color assignment
- * @param {string} str - String to hash
- * @returns {number} Hash value
+ * Builds the HTML for a day separator
+ * @param {Date} date - Story time of the first message of the day
+ * @returns {string} Separator HTML
  */
-function hashString(str) {
-  let hash = 0;
-  const s = String(str);
-  for (let i = 0; i < s.length; i++) {
-    hash = ((hash << 5) - hash) + s.charCodeAt(i);
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash);
+function buildDaySeparatorHtml(date) {
+  // Another chat's thread runs on that chat's clock, so it only gets dates
+  const label = formatDayLabel(date, remoteThread ? null : getStoryTime());
+  return `<div class="phone-day-separator"><span>${escapeHtml(label)}</span></div>`;
 }
 
 /**
- * Scrolls viewport to bottom (latest messages)
+ * Builds the escaped text of a message bubble, with @mentions highlighted
+ * @param {Object} message - Message object from message store
+ * @returns {string} HTML for the message text
  */
-export function scrollToBottom() {
-  const $viewport = $('#phone-viewport');
+function renderMessageText(message) {
+  return splitMentions(message.text, message.mentions)
+    .map(segment => (segment.mention
+      ? `<span class="message-mention">${escapeHtml(segment.text)}</span>`
+      : escapeHtml(segment.text)))
+    .join('');
+}
+
+/**
+ * Re-renders a message row in place (after edits or swipes)
+ * @param {Object} message - Message object from message store
+ */
+function updateMessageRow(message) {
+  $(`.message-row[data-message-id="${message.id}"]`).replaceWith(buildMessageHtml(message));
+}
+
+/**
+ * Appends a single message to the viewport
+ * @param {Object} message - Message object from message store
+ */
+export function appendMessageToViewport(message) {
+  // Another chat's thread is on screen; this one re-renders when reopened
+  if (remoteThread) {
+    return;
+  }
+
+  const $viewport = $('#phone-viewport');
+  const animationsEnabled = extension_settings[extensionName]?.animationsEnabled ?? true;
+
+  // Start a new day when the story moved on since the last message
+  const storyTime = getMessageStoryTime(message);
+  if ($viewport.find('.message-row[data-message-id]').last().attr('data-story-day') !== storyTime.toDateString()) {
+    $viewport.append(buildDaySeparatorHtml(storyTime));
+  }
+
+  const $message = $(buildMessageHtml(message));
+
+  // Apply animation if enabled
+  if (animationsEnabled) {
+    $message.hide().appendTo($viewport).fadeIn(200);
+  } else {
+    $message.appendTo($viewport);
+  }
+
+  // Message is on screen, so the thread has been read
+  if (!isPhoneOpen) {
+    return;
+  } else if (currentView === 'thread') {
+    markConversationRead();
+  } else if (currentView === 'inbox') {
+    renderInbox();
+  }
+
+  // Scroll to bottom
+  scrollToBottom();
+}
+
+/**
+ * Creates a hash from a string for consistent color assignment
+ * @param {string} str - String to hash
+ * @returns {number} Hash value
+ */
+function hashString(str) {
+  let hash = 0;
+  const s = String(str);
+  for (let i = 0; i < s.length; i++) {
+    hash = ((hash << 5) - hash) + s.charCodeAt(i);
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Scrolls viewport to bottom (latest messages)
+ */
+export function scrollToBottom() {
+  const $viewport = $('#phone-viewport');
   const scrollHeight = $viewport[0].scrollHeight;
 
   const animationsEnabled = extension_settings[extensionName]?.animationsEnabled ?? true;
@@ -334,6 +976,15 @@ export function scrollToBottom() {
   }
 }
 
+/**
+ * Checks whether new texts are mirrored into the main chat
+ * Ad-hoc groups are phone-only, and the mirror can be turned off
+ * @returns {boolean} True if texts get a main chat mirror
+ */
+function isMirroredToMainChat() {
+  return !getAdHocGroup() && getMirrorMode() !== 'none';
+}
+
 /**
  * Sends a user message from phone input
  * @param {string} text - Message text
@@ -352,43 +1003,136 @@ export async function sendUserMessage(text) {
     sender: 'user',
     text: trimmedText,
     characterName: context.name1 || 'User',
-    avatarUrl: ''
+    avatarUrl: '',
+    mentions: isInGroupChat() ? findMentions(trimmedText, getGroupMembers()) : [],
+    storyTime: getStoryTime(),
+    localOnly: !isMirroredToMainChat()
   });
 
   // Render user message in phone UI
   appendMessageToViewport(userMessage);
 
   // Sync to main chat with phone message ID for linking
-  await addMessageToMainChat(trimmedText, true, null, userMessage.id);
+  if (!userMessage.localOnly) {
+    await addMessageToMainChat(trimmedText, true, null, userMessage.id);
+  }
 
   // Play send sound if enabled
   playSoundEffect('send');
 
   // Generate character response(s)
+  stopRequested = false;
+  cancelBanter();
+  hideMentionAutocomplete();
   // In group chats with Natural order, multiple mentioned characters should respond
   if (isInGroupChat()) {
-    await generateGroupResponses(trimmedText);
+    await generateGroupResponses(userMessage);
+    // Not awaited: members keep texting in the background until the user types
+    runGroupBanter();
   } else {
     await generateCharacterResponse();
   }
 }
 
 /**
- * Builds the phone conversation history as a prompt string
- * @returns {string} Formatted conversation history
+ * Gets the group members that can be @mentioned (muted members are left out)
+ * @returns {Array} Character objects
+ */
+function getMentionableMembers() {
+  const disabledMembers = getCurrentGroup()?.disabled_members || [];
+  return getGroupMembers().filter(m => !disabledMembers.includes(m.avatar || m.name));
+}
+
+/**
+ * Shows @mention suggestions for the name being typed at the caret
+ * Hides the list when the caret is not in an @mention
  */
-function buildPhoneConversationPrompt() {
+function updateMentionAutocomplete() {
+  const input = document.getElementById('phone-message-input');
+  const typed = isInGroupChat() && input ? getMentionQuery(input.value, input.selectionStart) : null;
+  const query = typed?.query.toLowerCase() ?? '';
+  const matches = typed
+    ? getMentionableMembers().filter(m => m.name.toLowerCase().startsWith(query))
+    : [];
+
+  if (matches.length === 0) {
+    hideMentionAutocomplete();
+    return;
+  }
+
+  mentionStart = typed.start;
+  const $list = $('#phone-mention-list');
+  $list.html(matches.map((member, index) => `
+    <div class="mention-option${index === 0 ? ' active' : ''}" data-character-id="${escapeHtml(member.avatar || member.name)}">
+      ${member.avatar ? `<img class="mention-option-avatar" src="${getAvatarThumbnailUrl(member.avatar)}" alt="">` : ''}
+      <span>${escapeHtml(member.name)}</span>
+    </div>
+  `).join('')).show();
+}
+
+/**
+ * Hides the @mention suggestions
+ */
+function hideMentionAutocomplete() {
+  mentionStart = -1;
+  $('#phone-mention-list').hide().empty();
+}
+
+/**
+ * Moves the highlighted @mention suggestion
+ * @param {number} direction - 1 for down, -1 for up
+ */
+function moveMentionSelection(direction) {
+  const $options = $('#phone-mention-list .mention-option');
+  const current = $options.index($options.filter('.active'));
+  const next = (current + direction + $options.length) % $options.length;
+  $options.removeClass('active').eq(next).addClass('active');
+}
+
+/**
+ * Replaces the @mention being typed with the chosen member's full name
+ * @param {string} characterId - Character ID (avatar filename)
+ */
+function insertMention(characterId) {
+  const member = findConversationCharacter(characterId);
+  const input = document.getElementById('phone-message-input');
+  if (!member || !input || mentionStart === -1) {
+    hideMentionAutocomplete();
+    return;
+  }
+
+  const before = input.value.slice(0, mentionStart);
+  const after = input.value.slice(input.selectionStart).replace(/^\S*/, '');
+  const inserted = `@${member.name} `;
+  input.value = `${before}${inserted}${after.replace(/^ /, '')}`;
+
+  const caret = before.length + inserted.length;
+  input.setSelectionRange(caret, caret);
+  input.focus();
+  hideMentionAutocomplete();
+}
+
+/**
+ * Gets the phone messages used as prompt history, as "Name: text" lines
+ * @param {string} [beforeMessageId] - Only include messages before this one
+ * @returns {string[]} History lines, oldest first
+ */
+function getPhoneHistoryLines(beforeMessageId = null) {
   const context = getContext();
-  const messages = getLastMessages(10); // Last 10 messages for context
+  let messages = getLastMessages(10); // Last 10 messages for context
+
+  // For swipes, only use history before the message being regenerated
+  if (beforeMessageId) {
+    const allMessages = getMessages();
+    const index = allMessages.findIndex(m => m.id === beforeMessageId);
+    if (index !== -1) {
+      messages = allMessages.slice(Math.max(0, index - 10), index);
+    }
+  }
   const userName = context.name1 || 'User';
   const inGroup = isInGroupChat();
 
-  if (messages.length === 0) {
-    return '';
-  }
-
-  let conversationHistory = 'Recent text messages:\n';
-  messages.forEach(msg => {
+  return messages.map(msg => {
     let sender;
     if (msg.sender === 'user') {
       sender = userName;
@@ -398,10 +1142,21 @@ function buildPhoneConversationPrompt() {
     } else {
       sender = context.name2 || 'Character';
     }
-    conversationHistory += `${sender}: ${msg.text}\n`;
+    return `${sender}: ${msg.text}`;
   });
+}
+
+/**
+ * Builds the phone conversation history as a prompt string
+ * @param {string[]} lines - History lines (see getPhoneHistoryLines)
+ * @returns {string} Formatted conversation history
+ */
+function buildPhoneConversationPrompt(lines) {
+  if (lines.length === 0) {
+    return '';
+  }
 
-  return conversationHistory;
+  return `Recent text messages:\n${lines.join('\n')}\n`;
 }
 
 
@@ -434,11 +1189,24 @@ function hideTypingIndicator() {
 }
 
 /**
- * Gets the current group object from ST
+ * Gets the current group object from ST, or the open ad-hoc group
  * @returns {Object|null} Group object or null
  */
-function getCurrentGroup() {
+export function getCurrentGroup() {
   const context = getContext();
+
+  // Ad-hoc groups are shaped like ST groups so reply order works the same
+  const adHocGroup = getAdHocGroup();
+  if (adHocGroup) {
+    return {
+      id: adHocGroup.key,
+      name: adHocGroup.name,
+      members: adHocGroup.members,
+      disabled_members: [],
+      ...adHocGroup.settings
+    };
+  }
+
   if (!context.groupId) return null;
 
   const groups = context.groups || [];
@@ -446,423 +1214,893 @@ function getCurrentGroup() {
 }
 
 /**
- * Gets characters who have spoken since last user message
- * @returns {Set} Set of character IDs who have spoken
- */
-function getCharactersWhoSpokeSinceLastUser() {
-  const messages = getMessages();
-  const spoken = new Set();
-
-  for (let i = messages.length - 1; i >= 0; i--) {
-    const msg = messages[i];
-    if (msg.sender === 'user') break;
-    if (msg.sender === 'character' && msg.characterId) {
-      spoken.add(msg.characterId);
-    }
-  }
-
-  return spoken;
-}
-
-/**
- * Gets the character who should respond next based on ST's group settings
+ * Gets the group members who reply, using ST's group activation
  * Respects: activation_strategy, disabled_members, allow_self_responses, talkativeness
- * @returns {Object|null} Character object or null
+ * @param {Object} [options] - Activation options
+ * @param {boolean} [options.isUserInput] - True when answering a user message, false for banter
+ * @param {Array} [options.mentioned] - Characters @mentioned in the user's message
+ * @param {boolean} [options.availableOnly] - Leave out members who are unavailable
+ * @returns {Array} Character objects, in reply order
  */
-function getNextGroupCharacter() {
+function getActivatedGroupMembers({ isUserInput = true, mentioned = [], availableOnly = false } = {}) {
   const members = getGroupMembers();
-  if (members.length === 0) return null;
-
   const group = getCurrentGroup();
-  if (!group) return members[0];
+  if (!group) return members.slice(0, 1);
 
-  // Filter out muted/disabled members
+  // Muted/disabled members never reply
   const disabledMembers = group.disabled_members || [];
-  const activeMembers = members.filter(m => {
+  const enabledMembers = members.filter(m => {
     const memberId = m.avatar || m.name;
-    return !disabledMembers.includes(memberId);
+    return !disabledMembers.includes(memberId) && (!availableOnly || isCharacterAvailable(m));
   });
 
-  if (activeMembers.length === 0) return members[0];
+  const activated = activateGroupMembers(enabledMembers, {
+    strategy: group.activation_strategy ?? ACTIVATION_STRATEGY.LIST,
+    allowSelfResponses: group.allow_self_responses ?? false,
+    isUserInput,
+    mentionedIds: mentioned.map(m => m.avatar || m.name),
+    history: getMessages()
+  });
 
-  // Get settings
-  const strategy = group.activation_strategy ?? 1; // 0=Natural, 1=List, 2=Pooled, 3=Manual
-  const allowSelf = group.allow_self_responses ?? false;
+  console.log(`[phone-ui] Group strategy: ${group.activation_strategy ?? ACTIVATION_STRATEGY.LIST}, activated: ${activated.map(m => m.name).join(', ') || 'nobody'}`);
+  return activated;
+}
 
-  const messages = getMessages();
-  const lastCharMessage = [...messages].reverse().find(m => m.sender === 'character');
-  const lastCharId = lastCharMessage?.characterId;
-
-  // Build eligible list (exclude last speaker if !allowSelf)
-  let eligible = activeMembers;
-  if (!allowSelf && lastCharId && activeMembers.length > 1) {
-    eligible = activeMembers.filter(m => {
-      const memberId = m.avatar || m.name;
-      return memberId !== lastCharId;
-    });
-    if (eligible.length === 0) eligible = activeMembers;
-  }
-
-  console.log(`[phone-ui] Group strategy: ${strategy}, allowSelf: ${allowSelf}, eligible: ${eligible.length}`);
-
-  switch (strategy) {
-    case 0: { // Natural order - name mentions + talkativeness
-      const lastUserMessage = [...messages].reverse().find(m => m.sender === 'user');
-      if (lastUserMessage?.text) {
-        const text = lastUserMessage.text.toLowerCase();
-        for (const member of eligible) {
-          const nameRegex = new RegExp(`\\b${member.name.toLowerCase()}\\b`);
-          if (nameRegex.test(text)) {
-            console.log(`[phone-ui] Natural: ${member.name} mentioned`);
-            return member;
-          }
-        }
-      }
-      // Use talkativeness for weighted selection
-      const candidates = eligible.filter(m => {
-        const talk = m.talkativeness ?? 50;
-        return Math.random() * 100 < talk;
-      });
-      if (candidates.length > 0) {
-        const selected = candidates[Math.floor(Math.random() * candidates.length)];
-        console.log(`[phone-ui] Natural: ${selected.name} by talkativeness`);
-        return selected;
-      }
-      // Fallback to random
-      const random = eligible[Math.floor(Math.random() * eligible.length)];
-      console.log(`[phone-ui] Natural: ${random.name} random`);
-      return random;
-    }
+/**
+ * Gets the active group members @mentioned in a user message
+ * @param {Object} message - User message from the message store
+ * @returns {Array} Mentioned character objects, in order of mention
+ */
+function getMentionedCharacters(message) {
+  const group = getCurrentGroup();
+  const disabledMembers = group?.disabled_members || [];
 
-    case 1: { // List order - sequential rotation
-      if (lastCharId) {
-        const lastIdx = activeMembers.findIndex(m =>
-          (m.avatar || m.name) === lastCharId
-        );
-        if (lastIdx !== -1) {
-          // Find next eligible in order
-          for (let i = 1; i <= activeMembers.length; i++) {
-            const nextIdx = (lastIdx + i) % activeMembers.length;
-            const candidate = activeMembers[nextIdx];
-            const candidateId = candidate.avatar || candidate.name;
-            if (allowSelf || candidateId !== lastCharId) {
-              console.log(`[phone-ui] List: ${candidate.name}`);
-              return candidate;
-            }
-          }
-        }
-      }
-      console.log(`[phone-ui] List: ${eligible[0].name} (first)`);
-      return eligible[0];
-    }
+  return (message?.mentions || [])
+    .filter(mention => !disabledMembers.includes(mention.characterId))
+    .map(mention => findConversationCharacter(mention.characterId))
+    .filter(Boolean);
+}
 
-    case 2: { // Pooled order - everyone speaks once before repeat
-      const spoken = getCharactersWhoSpokeSinceLastUser();
-      const unspoken = eligible.filter(m => {
-        const memberId = m.avatar || m.name;
-        return !spoken.has(memberId);
-      });
+/**
+ * Generates responses for group chats
+ * Members are activated like in ST's group chats (see group-activation.js)
+ * @param {Object} userMessage - The user's message from the message store
+ */
+async function generateGroupResponses(userMessage) {
+  // A member picked in the reply picker answers, whatever the strategy
+  const chosen = findConversationCharacter(nextSenderId);
+  if (chosen) {
+    setNextSender(null);
+    await respondAs(chosen);
+    return;
+  }
 
-      if (unspoken.length > 0) {
-        const selected = unspoken[Math.floor(Math.random() * unspoken.length)];
-        console.log(`[phone-ui] Pooled: ${selected.name} (unspoken)`);
-        return selected;
-      }
-      const random = eligible[Math.floor(Math.random() * eligible.length)];
-      console.log(`[phone-ui] Pooled: ${random.name} (all spoke)`);
-      return random;
-    }
+  const group = getCurrentGroup();
+  if (!group) {
+    await generateCharacterResponse();
+    return;
+  }
 
-    case 3: { // Manual - no auto response
-      console.log(`[phone-ui] Manual mode - no auto selection`);
-      return null;
-    }
+  // Manual order: nobody answers until the user picks someone
+  if ((group.activation_strategy ?? ACTIVATION_STRATEGY.LIST) === ACTIVATION_STRATEGY.MANUAL) {
+    showReplyPicker();
+    return;
+  }
 
-    default:
-      return eligible[0];
+  // Every activated member answers in turn; in Natural order @mentioned members go first
+  const activated = getActivatedGroupMembers({ mentioned: getMentionedCharacters(userMessage) });
+  for (const character of activated) {
+    if (stopRequested) break;
+    await respondAs(character);
   }
 }
 
 /**
- * Gets all mentioned characters from user message text
- * @param {string} text - User message text
- * @returns {Array} Array of mentioned character objects
+ * Sets the group member who answers the next message
+ * @param {string|null} characterId - Character ID (avatar filename), or null to clear
  */
-function getMentionedCharacters(text) {
-  const members = getGroupMembers();
+function setNextSender(characterId) {
+  nextSenderId = characterId || null;
+  updateNextSenderDisplay();
+}
+
+/**
+ * Highlights the picked member in the header and reply picker, and names
+ * them in the input placeholder
+ */
+function updateNextSenderDisplay() {
+  const nextSender = findConversationCharacter(nextSenderId);
+
+  $('#phone-group-avatars .group-avatar').each((index, img) => {
+    $(img).toggleClass('next-sender', $(img).attr('data-character-id') === nextSenderId);
+  });
+  $('#phone-reply-list .reply-picker-entry').each((index, entry) => {
+    $(entry).toggleClass('next-sender', $(entry).attr('data-character-id') === nextSenderId);
+  });
+
+  $('#phone-message-input').attr('placeholder', nextSender
+    ? `Message (${nextSender.name} replies)...`
+    : 'Type a message...');
+}
+
+/**
+ * Renders the "who replies?" sheet with every group member
+ */
+function renderReplyPicker() {
+  const $list = $('#phone-reply-list');
+  $list.empty();
+
   const group = getCurrentGroup();
   const disabledMembers = group?.disabled_members || [];
 
-  // Filter to active (non-muted) members
-  const activeMembers = members.filter(m => {
-    const memberId = m.avatar || m.name;
-    return !disabledMembers.includes(memberId);
+  getGroupMembers().forEach(member => {
+    const memberId = member.avatar || member.name;
+    const availability = getAvailability(member);
+    const status = disabledMembers.includes(memberId)
+      ? 'muted'
+      : (availability.available ? '' : availability.label.toLowerCase());
+    const avatarHtml = member.avatar
+      ? `<img class="reply-picker-avatar" src="${getAvatarThumbnailUrl(member.avatar)}" alt="">`
+      : '<div class="group-avatar-placeholder reply-picker-avatar"><i class="fa-solid fa-user"></i></div>';
+
+    $list.append(`
+      <div class="reply-picker-entry${memberId === nextSenderId ? ' next-sender' : ''}" data-character-id="${escapeHtml(memberId)}" title="${escapeHtml(member.name)} replies next">
+        ${avatarHtml}
+        <span class="reply-picker-name">${escapeHtml(member.name)}</span>
+        ${status ? `<span class="reply-picker-status">${escapeHtml(status)}</span>` : ''}
+        <button class="thread-action-btn reply-picker-now" title="Let ${escapeHtml(member.name)} reply now">
+          <i class="fa-solid fa-reply"></i>
+        </button>
+      </div>
+    `);
   });
+}
 
-  const mentioned = [];
-  const lowerText = text.toLowerCase();
+/**
+ * Opens the "who replies?" sheet
+ */
+function showReplyPicker() {
+  renderReplyPicker();
+  $('#phone-thread-sheet, #phone-adhoc-sheet, #phone-clock-sheet').hide();
+  $('#phone-reply-sheet').slideDown(150);
+}
 
-  for (const member of activeMembers) {
-    const nameRegex = new RegExp(`\\b${member.name.toLowerCase()}\\b`);
-    if (nameRegex.test(lowerText)) {
-      mentioned.push(member);
-    }
+/**
+ * Toggles the "who replies?" sheet
+ */
+function toggleReplyPicker() {
+  const $sheet = $('#phone-reply-sheet');
+  if ($sheet.is(':visible')) {
+    $sheet.slideUp(150);
+  } else {
+    showReplyPicker();
   }
+}
+
+/**
+ * Shows the story time in the clock sheet and fills its date input with it
+ */
+function renderClockSheet() {
+  const now = getStoryTime();
+  const clockSet = isStoryClockSet();
+
+  $('#phone-clock-now').text(formatStoryTime(now));
+  $('#phone-clock-hint').text(clockSet ? 'Runs on from the time you set' : 'Follows the real clock until you set a time');
+  $('#phone-clock-reset').toggle(clockSet);
 
-  return mentioned;
+  // datetime-local inputs take local time without a time zone
+  const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+  $('#phone-clock-input').val(local.toISOString().slice(0, 16));
 }
 
 /**
- * Generates responses for group chats
- * If multiple characters are mentioned, all respond (matching ST base UI behavior)
- * @param {string} userText - The user's message text
+ * Toggles the story clock sheet
  */
-async function generateGroupResponses(userText) {
+function toggleClockSheet() {
+  const $sheet = $('#phone-clock-sheet');
+  if ($sheet.is(':visible')) {
+    $sheet.slideUp(150);
+  } else {
+    renderClockSheet();
+    $('#phone-thread-sheet, #phone-reply-sheet, #phone-adhoc-sheet').hide();
+    $sheet.slideDown(150);
+  }
+}
+
+/**
+ * Shows the result of a story clock change: the day separators and
+ * availability depend on the story time
+ * @param {boolean} saved - Whether the clock was saved
+ */
+function onStoryClockChanged(saved) {
+  if (!saved) {
+    toastr.error('Could not change the story time');
+    return;
+  }
+
+  renderClockSheet();
+  renderAllMessages();
+  updateAvailabilityStatus();
+}
+
+/**
+ * Gets a reply from a group member without sending a user message
+ * @param {string} characterId - Character ID (avatar filename)
+ */
+async function letCharacterReply(characterId) {
+  const character = findConversationCharacter(characterId);
+  if (!character || isGeneratingReply) {
+    return;
+  }
+
+  $('#phone-reply-sheet').slideUp(150);
+  if (nextSenderId === characterId) {
+    setNextSender(null);
+  }
+
+  stopRequested = false;
+  cancelBanter();
+  await respondAs(character);
+}
+
+/**
+ * Lets group members keep texting each other after a reply, like ST's auto mode
+ * Each round is one pass over the members activated for it, waiting the
+ * group's auto mode delay before every message. Ends after the configured
+ * number of rounds, when nobody speaks up, or when the user types
+ */
+async function runGroupBanter() {
+  const settings = extension_settings[extensionName] || {};
+  if (!(settings.groupBanterEnabled ?? false)) {
+    return;
+  }
+
   const group = getCurrentGroup();
   if (!group) {
-    await generateCharacterResponse();
     return;
   }
 
-  const strategy = group.activation_strategy ?? 1; // 0=Natural, 1=List, 2=Pooled, 3=Manual
+  const maxRounds = Number(settings.groupBanterRounds ?? 3);
+  const delay = Math.max(0, Number(group.auto_mode_delay ?? 5)) * 1000;
+  const run = ++banterRun;
 
-  // For Natural order (0), check for multiple mentions
-  if (strategy === 0) {
-    const mentioned = getMentionedCharacters(userText);
+  for (let round = 1; round <= maxRounds; round++) {
+    // Activated like ST's auto mode: not a reply to the user
+    const speakers = getActivatedGroupMembers({ isUserInput: false, availableOnly: true });
+    if (speakers.length === 0) {
+      console.log('[phone-ui] Banter: nobody spoke up');
+      return;
+    }
 
-    if (mentioned.length > 1) {
-      // Multiple characters mentioned - all should respond
-      console.log(`[phone-ui] Multiple mentions detected: ${mentioned.map(m => m.name).join(', ')}`);
+    for (const speaker of speakers) {
+      await waitForBanter(delay);
+      if (run !== banterRun || stopRequested || !isPhoneOpen || isGeneratingReply) {
+        return;
+      }
 
-      for (const character of mentioned) {
-        await generateCharacterResponseFor(character);
+      console.log(`[phone-ui] Banter round ${round}/${maxRounds}: ${speaker.name}`);
+      const messages = await generateCharacterResponseFor(speaker);
+      if (messages.length === 0) {
+        return;
       }
-      return;
-    } else if (mentioned.length === 1) {
-      // Single mention - that character responds
-      console.log(`[phone-ui] Single mention: ${mentioned[0].name}`);
-      await generateCharacterResponseFor(mentioned[0]);
-      return;
     }
-    // No mentions - fall through to normal selection
+  }
+}
+
+/**
+ * Waits before a banter message; cancelBanter ends the wait early
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function waitForBanter(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      cancelBanterWait = null;
+      resolve();
+    }, ms);
+    cancelBanterWait = () => {
+      clearTimeout(timer);
+      cancelBanterWait = null;
+      resolve();
+    };
+  });
+}
+
+/**
+ * Ends the running group banter after the reply in progress (if any)
+ */
+function cancelBanter() {
+  banterRun++;
+  if (cancelBanterWait) {
+    cancelBanterWait();
+  }
+}
+
+/**
+ * Generates a text message reply as a specific character, without adding it
+ * This is the single reply pipeline: builds the quiet prompt (group or individual),
+ * generates, then runs the configured post-processors (see reply-pipeline.js)
+ * @param {Object} character - Character object to generate as
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.beforeMessageId] - Only use phone history before this message (for swipes)
+ * @param {Function} [options.onToken] - Receives the cleaned partial text while streaming
+ * @param {boolean} [options.proactive] - Start a new conversation instead of replying
+ * @returns {Promise<string>} Cleaned reply text (empty if nothing usable)
+ */
+async function generateCharacterText(character, { beforeMessageId = null, onToken = null, proactive = false } = {}) {
+  const context = getContext();
+
+  const inGroup = isInGroupChat();
+  const userName = context.name1 || 'User';
+  const charName = character.name;
+
+  // Get user persona description if available
+  const userPersona = context.persona || '';
+
+  // Build phone conversation history, and the lore its texts activate
+  const historyLines = getPhoneHistoryLines(beforeMessageId);
+  const conversationHistory = buildPhoneConversationPrompt(historyLines);
+  const lore = await getPhoneLore(historyLines);
+  const storyTime = formatStoryTime(getStoryTime());
+
+  // Proactive texts start a conversation rather than answer the last message
+  const replyInstruction = proactive
+    ? `Nobody has texted in a while. Now send a new text message as ${charName} to start a conversation, something ${charName} would plausibly text out of the blue.`
+    : `Now reply as ${charName}${inGroup ? ' only' : ''} via text message.`;
+
+  // Build the quiet prompt - different for groups vs individual.
+  // Raw generation sends a texting system prompt instead of the chat prompt
+  let quietPrompt;
+  let systemPrompt = null;
+  if (isRawGenerationEnabled()) {
+    const scene = await getSceneContext();
+    systemPrompt = buildRawSystemPrompt(character, { history: conversationHistory, lore, scene, time: storyTime });
+    quietPrompt = `${replyInstruction}${inGroup ? ' Do not speak for other characters.' : ''} Only output ${charName}'s text message reply, nothing else.`;
+  } else if (inGroup) {
+    const members = getGroupMembers();
+    const otherNames = members
+      .filter(m => m.name !== charName)
+      .map(m => m.name)
+      .join(', ');
+
+    // The injected prompt is shared by all members, so add this member's own style
+    const characterStyle = buildCharacterStylePrompt(character);
+
+    // Ad-hoc members may not be part of this chat, so describe them from their cards
+    const characterCard = getAdHocGroup()
+      ? [character.description, character.personality].filter(Boolean).join('\n').replace(/{{char}}/gi, charName).trim()
+      : '';
+
+    quietPrompt = `You are ${charName} texting in a group chat with ${userName}${otherNames ? ` and ${otherNames}` : ''}.
+${characterCard ? `\nAbout ${charName}: ${characterCard}\n` : ''}${userPersona ? `\nAbout ${userName}: ${userPersona}\n` : ''}${characterStyle ? `\n${characterStyle}\n` : ''}${lore ? `\nRelevant lore:\n${lore}\n` : ''}
+It is now ${storyTime}.
+
+${conversationHistory}
+${replyInstruction} Do not speak for other characters. Keep it casual and in-character. Only output ${charName}'s text message reply, nothing else.`;
+  } else {
+    quietPrompt = `You are ${charName} texting with ${userName} on a phone.
+${userPersona ? `\nAbout ${userName}: ${userPersona}\n` : ''}${lore ? `\nRelevant lore:\n${lore}\n` : ''}
+It is now ${storyTime}.
+
+${conversationHistory}
+${replyInstruction} Keep it casual and in-character. Only output ${charName}'s text message reply, nothing else.`;
+  }
+
+  // Generate through ST's quiet prompt (or a stream when enabled).
+  // Both paths include the injected texting mode prompts, unless raw.
+  const generateOptions = {
+    onToken: onToken ? (text) => onToken(processReply(text, { charName })) : null,
+    systemPrompt
+  };
+  const response = await generateReply(quietPrompt, generateOptions);
+  if (!response) {
+    return '';
+  }
+
+  const characterText = applyTextingHabits(processReply(response, { charName }), character);
+
+  // Retry once if the model answered with stage directions instead of a text
+  if (!stopRequested && shouldRetryNarration() && isMostlyNarration(response, { charName })) {
+    console.log(`[phone-ui] Reply from ${charName} was mostly narration, retrying once`);
+    const retryPrompt = `${quietPrompt}
+Reply with only the words of the text message itself. No actions, narration, asterisks or quotation marks.`;
+    const retryResponse = await generateReply(retryPrompt, generateOptions);
+    const retryText = applyTextingHabits(processReply(retryResponse || '', { charName }), character);
+    if (retryText) {
+      return retryText;
+    }
+  }
+
+  return characterText;
+}
+
+/**
+ * Applies texting habits from the character's profile that can be enforced
+ * on the text itself: all-lowercase typing and the sign-off
+ * @param {string} text - Processed reply text
+ * @param {Object} character - Character who wrote the reply
+ * @returns {string} Text with habits applied
+ */
+function applyTextingHabits(text, character) {
+  if (!text) {
+    return text;
+  }
+
+  const profile = getTextingProfile(character);
+  let result = text;
+
+  if (profile.capitalization === 'lowercase') {
+    result = result.toLowerCase();
+  }
+
+  if (profile.signOff && !result.trimEnd().toLowerCase().endsWith(profile.signOff.toLowerCase())) {
+    result = `${result.trimEnd()} ${profile.signOff}`;
   }
 
-  // For other strategies or no mentions, use standard single response
-  await generateCharacterResponse();
+  return result;
+}
+
+/**
+ * Checks whether narration-heavy replies should be regenerated
+ * Only applies while the narration post-processor is enabled
+ * @returns {boolean} True if a retry is allowed
+ */
+function shouldRetryNarration() {
+  const retryEnabled = extension_settings[extensionName]?.narrationRetry ?? true;
+  return retryEnabled && isReplyProcessorEnabled('remove-narration');
 }
 
 /**
  * Generates a response for a specific character
+ * When streaming is enabled the typing indicator turns into a live bubble.
+ * Long replies are split into several bubbles, each sent after a typing delay
  * @param {Object} character - Character object to generate response for
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.proactive] - Start a new conversation instead of replying
+ * @returns {Promise<Array>} Messages added to the store (empty on failure)
  */
-async function generateCharacterResponseFor(character) {
-  const context = getContext();
+async function generateCharacterResponseFor(character, { proactive = false } = {}) {
+  const addedMessages = [];
 
   // Show typing indicator
   showTypingIndicator();
+  setGeneratingState(true);
 
   try {
-    if (typeof context.generateQuietPrompt !== 'function') {
-      throw new Error('SillyTavern context.generateQuietPrompt is not available');
-    }
-
-    const userName = context.name1 || 'User';
     const charName = character.name;
     const charId = character.avatar || character.name;
-    const avatarUrl = character.avatar
-      ? `/thumbnail?type=avatar&file=${encodeURIComponent(character.avatar)}`
-      : '';
+    const avatarUrl = character.avatar ? getAvatarThumbnailUrl(character.avatar) : '';
+
+    const startedAt = Date.now();
+    let streamed = false;
+    const characterText = await generateCharacterText(character, {
+      proactive,
+      onToken: (text) => {
+        streamed = true;
+        updateStreamingBubble(text);
+      }
+    });
 
-    const userPersona = context.persona || '';
-    const conversationHistory = buildPhoneConversationPrompt();
+    if (!characterText) {
+      if (!stopRequested) {
+        console.warn(`[phone-ui] Empty response from ${charName} after cleanup`);
+      }
+      return addedMessages;
+    }
 
-    const members = getGroupMembers();
-    const otherNames = members
-      .filter(m => m.name !== charName)
-      .map(m => m.name)
-      .join(', ');
+    const parts = splitReplyText(characterText);
+    for (let i = 0; i < parts.length; i++) {
+      // Streamed replies were already typed out live, so skip the delays.
+      // The first bubble's delay is shortened by the time generation took.
+      if (!streamed && !stopRequested) {
+        if (i > 0) {
+          showTypingIndicator();
+        }
+        const elapsed = i === 0 ? Date.now() - startedAt : 0;
+        await waitForTyping(getTypingDelay(parts[i], character) - elapsed);
+      }
+
+      // Add character message to store with character tracking
+      // Consecutive bubbles from one character share a sequence
+      const characterMessage = addMessage({
+        sender: 'character',
+        text: parts[i],
+        characterId: charId,  // Track which character for groups
+        characterName: charName,
+        avatarUrl: avatarUrl,
+        proactive,
+        storyTime: getStoryTime(),
+        localOnly: !isMirroredToMainChat()
+      });
+      addedMessages.push(characterMessage);
+
+      // Replace the live bubble / typing indicator with the finished message
+      removeStreamingBubble();
+      hideTypingIndicator();
+
+      // Render character message in phone UI
+      appendMessageToViewport(characterMessage);
+
+      // Sync to main chat (pass character name, phone message ID, and avatar URL for proper attribution)
+      // Each bubble gets its own mirror so edits and deletes stay linked
+      if (!characterMessage.localOnly) {
+        await addMessageToMainChat(parts[i], false, charName, characterMessage.id, avatarUrl);
+      }
+
+      // Play receive sound if enabled
+      playSoundEffect('receive');
+    }
+  } catch (error) {
+    console.error(`[phone-ui] Error generating response for ${character.name}:`, error);
+    if (!stopRequested) {
+      toastr.error('Failed to generate response');
+    }
+  } finally {
+    // Always hide typing indicator when done
+    hideTypingIndicator();
+    removeStreamingBubble();
+    setGeneratingState(false);
+  }
+
+  return addedMessages;
+}
+
+/**
+ * Splits a reply into separate text bubbles
+ * Splits on line breaks first, then breaks long paragraphs at sentence
+ * boundaries. Parts beyond the bubble limit are merged into the last one
+ * @param {string} text - Cleaned reply text
+ * @returns {string[]} Bubble texts (at least one)
+ */
+function splitReplyText(text) {
+  const splitEnabled = extension_settings[extensionName]?.splitReplies ?? true;
+  if (!splitEnabled) {
+    return [text];
+  }
+
+  const parts = [];
+  const paragraphs = text.split(/\n+/).map(p => p.trim()).filter(Boolean);
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= SPLIT_PARAGRAPH_LENGTH) {
+      parts.push(paragraph);
+      continue;
+    }
+
+    // Group sentences into chunks that stay under the paragraph length
+    const sentences = paragraph.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g) || [paragraph];
+    let chunk = '';
+    for (const sentence of sentences) {
+      if (chunk && (chunk + sentence).trim().length > SPLIT_PARAGRAPH_LENGTH) {
+        parts.push(chunk.trim());
+        chunk = '';
+      }
+      chunk += sentence;
+    }
+    if (chunk.trim()) {
+      parts.push(chunk.trim());
+    }
+  }
+
+  if (parts.length === 0) {
+    return [text];
+  }
+
+  if (parts.length > MAX_REPLY_BUBBLES) {
+    const overflow = parts.splice(MAX_REPLY_BUBBLES - 1).join(' ');
+    parts.push(overflow);
+  }
+
+  return parts;
+}
+
+/**
+ * Calculates how long a character "types" a bubble before it appears
+ * Uses the character's own typing speed when their profile sets one
+ * @param {string} text - Bubble text
+ * @param {Object} [character] - Character who is typing
+ * @returns {number} Delay in milliseconds (0 when typing delays are off)
+ */
+function getTypingDelay(text, character = null) {
+  const profileSpeed = character ? getTextingProfile(character).typingSpeed : null;
+  const charsPerSecond = Number(profileSpeed ?? extension_settings[extensionName]?.typingSpeed ?? 30);
+  if (!charsPerSecond || charsPerSecond <= 0) {
+    return 0;
+  }
+
+  const delay = (text.length / charsPerSecond) * 1000;
+  return Math.min(Math.max(delay, MIN_TYPING_DELAY), MAX_TYPING_DELAY);
+}
+
+/**
+ * Waits for a typing delay, ending early if generation is stopped
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function waitForTyping(ms) {
+  if (ms <= 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      cancelTypingWait = null;
+      resolve();
+    }, ms);
+    cancelTypingWait = () => {
+      clearTimeout(timer);
+      cancelTypingWait = null;
+      resolve();
+    };
+  });
+}
+
+/**
+ * Shows partial reply text in a live bubble while a reply streams in
+ * The first chunk replaces the typing indicator
+ * @param {string} text - Cleaned text received so far
+ */
+function updateStreamingBubble(text) {
+  if (!text) return;
+
+  let $bubble = $('#phone-streaming-message');
+  if ($bubble.length === 0) {
+    hideTypingIndicator();
+    $bubble = $(`
+      <div id="phone-streaming-message" class="message-row character streaming">
+        <div class="message-bubble character">
+          <div class="message-text"></div>
+        </div>
+      </div>
+    `);
+    $('#phone-viewport').append($bubble);
+  }
+
+  $bubble.find('.message-text').text(text);
+
+  // Jump instead of animating so the view keeps up with fast streams
+  const viewport = document.getElementById('phone-viewport');
+  if (viewport) {
+    viewport.scrollTop = viewport.scrollHeight;
+  }
+}
+
+/**
+ * Removes the live streaming bubble
+ */
+function removeStreamingBubble() {
+  $('#phone-streaming-message').remove();
+}
+
+/**
+ * Swaps the send button for a stop button while a reply is generating
+ * @param {boolean} generating - Whether a reply is in progress
+ */
+function setGeneratingState(generating) {
+  isGeneratingReply = generating;
+  $('.phone-input-area').toggleClass('generating', generating);
+}
+
+/**
+ * Checks whether a phone reply is currently being generated
+ * @returns {boolean} True while a reply is in progress
+ */
+export function isReplyInProgress() {
+  return isGeneratingReply;
+}
+
+/**
+ * Sends an unprompted text from a character and notifies the user
+ * Uses the texting prompt even while the phone is closed
+ * @param {Object} character - Character object who texts first
+ * @returns {Promise<boolean>} True if a message was delivered
+ */
+export async function sendProactiveMessage(character) {
+  if (isGeneratingReply) {
+    return false;
+  }
 
-    const quietPrompt = `You are ${charName} texting in a group chat with ${userName}${otherNames ? ` and ${otherNames}` : ''}.
-${userPersona ? `\nAbout ${userName}: ${userPersona}\n` : ''}
-${conversationHistory}
-Now reply as ${charName} only via text message. Do not speak for other characters. Keep it casual and in-character. Only output ${charName}'s text message reply, nothing else.`;
+  return await deliverBackgroundMessage(character, { proactive: true });
+}
 
-    const response = await context.generateQuietPrompt({ quietPrompt });
+/**
+ * Generates a message the user didn't just ask for (proactive or held-back
+ * replies) and notifies the user if they aren't looking at the thread
+ * @param {Object} character - Character object who sends the message
+ * @param {Object} [options] - Generation options (see generateCharacterResponseFor)
+ * @returns {Promise<boolean>} True if a message was delivered
+ */
+async function deliverBackgroundMessage(character, options = {}) {
+  stopRequested = false;
+  const messages = await withTextingModePrompt(() => generateCharacterResponseFor(character, options));
+  if (messages.length === 0) {
+    return false;
+  }
 
-    if (response) {
-      let characterText = response;
-      if (characterText.startsWith('📱')) {
-        characterText = characterText.replace(/^📱\s*/, '');
-      }
+  // Notify unless the user is already looking at this thread
+  if (!isPhoneOpen || currentView !== 'thread' || remoteThread) {
+    notifyNewMessage(character.name, messages[messages.length - 1].text);
+  }
 
-      // Strip character name prefix if LLM included it
-      const namePrefixPatterns = [
-        new RegExp(`^${charName}:\\s*`, 'i'),
-        new RegExp(`^\\S+\\s+${charName}:\\s*`, 'i'),
-        new RegExp(`^[\\p{Emoji}\\s]+${charName}:\\s*`, 'iu'),
-        new RegExp(`^\\[${charName}\\]\\s*`, 'i'),
-        new RegExp(`^\\(${charName}\\)\\s*`, 'i'),
-      ];
-
-      for (const pattern of namePrefixPatterns) {
-        if (pattern.test(characterText)) {
-          characterText = characterText.replace(pattern, '').trim();
-          break;
-        }
-      }
+  return true;
+}
 
-      if (!characterText) {
-        console.warn(`[phone-ui] Empty response from ${charName} after cleanup`);
-        return;
+/**
+ * Shows a new-message notification and marks the phone buttons as unread
+ * Clicking the notification opens the phone
+ * @param {string} senderName - Name of the character who texted
+ * @param {string} text - Message text to preview
+ */
+function notifyNewMessage(senderName, text) {
+  const preview = text.length > 80 ? `${text.slice(0, 80)}…` : text;
+
+  toastr.info(escapeHtml(preview), `📱 ${escapeHtml(senderName)}`, {
+    timeOut: 8000,
+    onclick: () => {
+      if (!isPhoneOpen) {
+        openPhoneUI();
+      } else {
+        remoteThread = null;
+        showThread();
       }
+    }
+  });
 
-      const characterMessage = addMessage({
-        sender: 'character',
-        text: characterText,
-        characterId: charId,
-        characterName: charName,
-        avatarUrl: avatarUrl
-      });
+  if (!isPhoneOpen) {
+    $('#phone-toggle-btn, #phone-topbar-btn').addClass('has-unread');
+  }
+}
 
-      appendMessageToViewport(characterMessage);
-      await addMessageToMainChat(characterText, false, charName, characterMessage.id, avatarUrl);
-      playSoundEffect('receive');
-    }
-  } catch (error) {
-    console.error(`[phone-ui] Error generating response for ${character.name}:`, error);
-  } finally {
-    hideTypingIndicator();
+/**
+ * Stops the reply in progress and any replies queued after it
+ * A streamed reply keeps the text received so far, and bubbles of a split
+ * reply that are still "being typed" are sent immediately
+ */
+function stopGenerating() {
+  stopRequested = true;
+  cancelBanter();
+  stopReplyGeneration();
+
+  // Bubbles already generated are sent right away
+  if (cancelTypingWait) {
+    cancelTypingWait();
   }
 }
 
 /**
- * Generates character response using SillyTavern's API
- * Respects ST group settings for character selection
+ * Gets the character object for the current individual chat
+ * Uses the chat's display name, which may differ from the card name
+ * @returns {Object} Character object
  */
-async function generateCharacterResponse() {
+export function getCurrentCharacter() {
   const context = getContext();
-  const inGroup = isInGroupChat();
+  const character = context.characters[context.characterId] || {};
+  return { ...character, name: context.name2 || character.name || 'Character' };
+}
 
-  // Show typing indicator
-  showTypingIndicator();
+/**
+ * Has a character answer, or holds the reply back while they are unavailable
+ * Held replies are answered later by processPendingReplies
+ * @param {Object} character - Character object who should reply
+ */
+async function respondAs(character) {
+  const availability = getAvailability(character);
+  if (!availability.available) {
+    console.log(`[phone-ui] ${character.name} is unavailable (${availability.label}), holding reply`);
+    queuePendingReply(character.avatar || character.name);
+    updateAvailabilityStatus();
+    return;
+  }
 
-  try {
-    if (typeof context.generateQuietPrompt !== 'function') {
-      throw new Error('SillyTavern context.generateQuietPrompt is not available');
-    }
+  await generateCharacterResponseFor(character);
+}
 
-    // Get user name
-    const userName = context.name1 || 'User';
+/**
+ * Finds a participant of the current conversation by character ID
+ * @param {string} characterId - Character ID (avatar filename, or name)
+ * @returns {Object|null} Character object or null if not a participant
+ */
+function findConversationCharacter(characterId) {
+  const participants = isInGroupChat() ? getGroupMembers() : [getCurrentCharacter()];
+  return participants.find(c => (c.avatar || c.name) === characterId) || null;
+}
 
-    // Determine responding character based on mode
-    let charName, charId, avatarUrl;
+/**
+ * Answers held-back replies from characters who are available again
+ * Each reply comes after a short, random delay so it doesn't feel instant
+ */
+async function processPendingReplies() {
+  if (isProcessingPending || isGeneratingReply) {
+    return;
+  }
 
-    if (inGroup) {
-      // Get next character based on group settings
-      const activeChar = getNextGroupCharacter();
-      if (!activeChar) {
-        console.warn('[phone-ui] No active character in group');
-        hideTypingIndicator();
-        return;
+  const pending = getPendingReplies();
+  if (pending.length === 0) {
+    return;
+  }
+
+  isProcessingPending = true;
+  try {
+    for (const entry of pending) {
+      const character = findConversationCharacter(entry.characterId);
+      if (!character) {
+        clearPendingReply(entry.characterId);
+        continue;
       }
-      charName = activeChar.name;
-      charId = activeChar.avatar || activeChar.name;
-      avatarUrl = activeChar.avatar
-        ? `/thumbnail?type=avatar&file=${encodeURIComponent(activeChar.avatar)}`
-        : '';
-    } else {
-      // Single character mode
-      charName = context.name2 || 'Character';
-      charId = context.characterId;
-      const character = context.characters[context.characterId];
-      const avatarFile = character?.avatar;
-      avatarUrl = avatarFile ? `/thumbnail?type=avatar&file=${encodeURIComponent(avatarFile)}` : '';
-    }
 
-    // Get user persona description if available
-    const userPersona = context.persona || '';
+      if (!isCharacterAvailable(character)) {
+        continue;
+      }
 
-    // Build phone conversation history
-    const conversationHistory = buildPhoneConversationPrompt();
+      const delay = PENDING_REPLY_MIN_DELAY + Math.random() * (PENDING_REPLY_MAX_DELAY - PENDING_REPLY_MIN_DELAY);
+      await new Promise(resolve => setTimeout(resolve, delay));
 
-    // Build the quiet prompt - different for groups vs individual
-    let quietPrompt;
-    if (inGroup) {
-      const members = getGroupMembers();
-      const otherNames = members
-        .filter(m => m.name !== charName)
-        .map(m => m.name)
-        .join(', ');
+      // The user may have started a reply in the meantime; try again next tick
+      if (isGeneratingReply) {
+        break;
+      }
 
-      quietPrompt = `You are ${charName} texting in a group chat with ${userName}${otherNames ? ` and ${otherNames}` : ''}.
-${userPersona ? `\nAbout ${userName}: ${userPersona}\n` : ''}
-${conversationHistory}
-Now reply as ${charName} only via text message. Do not speak for other characters. Keep it casual and in-character. Only output ${charName}'s text message reply, nothing else.`;
-    } else {
-      quietPrompt = `You are ${charName} texting with ${userName} on a phone.
-${userPersona ? `\nAbout ${userName}: ${userPersona}\n` : ''}
-${conversationHistory}
-Now reply as ${charName} via text message. Keep it casual and in-character. Only output ${charName}'s text message reply, nothing else.`;
+      clearPendingReply(entry.characterId);
+      console.log(`[phone-ui] ${character.name} is available again, answering held messages`);
+      await deliverBackgroundMessage(character);
     }
+  } finally {
+    isProcessingPending = false;
+    updateAvailabilityStatus();
+  }
+}
 
-    // Use SillyTavern's generateQuietPrompt to get character response.
-    // This will use the injected texting mode prompts.
-    const response = await context.generateQuietPrompt({ quietPrompt });
+/**
+ * Shows availability in the header: "At work · last seen 9:00 AM"
+ * In groups, lists the members who are away
+ */
+function updateAvailabilityStatus() {
+  if (!isPhoneOpen || remoteThread) {
+    return;
+  }
 
-    if (response) {
-      // Extract character message from response
-      // Strip leading 📱 emoji if present (we add it for main chat, not phone UI)
-      let characterText = response;
-      if (characterText.startsWith('📱')) {
-        characterText = characterText.replace(/^📱\s*/, '');
-      }
+  const now = getStoryTime();
 
-      // Strip character name prefix if LLM included it (handles various formats)
-      // Matches: "Name:", "📱 Name:", "😊 Name:", "{emoji} Name:", etc.
-      const namePrefixPatterns = [
-        new RegExp(`^${charName}:\\s*`, 'i'),                    // "Name: text"
-        new RegExp(`^\\S+\\s+${charName}:\\s*`, 'i'),            // "📱 Name: text" or "{emoji} Name: text"
-        new RegExp(`^[\\p{Emoji}\\s]+${charName}:\\s*`, 'iu'),   // Multiple emojis before name
-        new RegExp(`^\\[${charName}\\]\\s*`, 'i'),               // "[Name] text"
-        new RegExp(`^\\(${charName}\\)\\s*`, 'i'),               // "(Name) text"
-      ];
-
-      for (const pattern of namePrefixPatterns) {
-        if (pattern.test(characterText)) {
-          characterText = characterText.replace(pattern, '').trim();
-          break;
-        }
-      }
+  if (isInGroupChat()) {
+    const away = getGroupMembers()
+      .map(member => ({ member, availability: getAvailability(member, now) }))
+      .filter(({ availability }) => !availability.available)
+      .map(({ member, availability }) => `${member.name} (${availability.label.toLowerCase()})`);
+    $('#phone-group-status').text(away.length ? `Away: ${away.join(', ')}` : '').toggle(away.length > 0);
+    return;
+  }
 
-      if (!characterText) {
-        console.warn('[phone-ui] Empty response after cleanup');
-        return;
-      }
+  const availability = getAvailability(getCurrentCharacter(), now);
+  if (availability.available) {
+    $('#phone-contact-status').text('').hide();
+    return;
+  }
 
-      // Add character message to store with character tracking
-      const characterMessage = addMessage({
-        sender: 'character',
-        text: characterText,
-        characterId: charId,  // Track which character for groups
-        characterName: charName,
-        avatarUrl: avatarUrl
-      });
+  $('#phone-contact-status')
+    .text(`${availability.label} · last seen ${formatTimestamp(availability.since, now)}`)
+    .show();
+}
 
-      // Render character message in phone UI
-      appendMessageToViewport(characterMessage);
+/**
+ * Generates character response using SillyTavern's API
+ * Respects ST group settings for character selection
+ */
+async function generateCharacterResponse() {
+  if (!isInGroupChat()) {
+    await respondAs(getCurrentCharacter());
+    return;
+  }
 
-      // Sync to main chat (pass character name, phone message ID, and avatar URL for proper attribution)
-      await addMessageToMainChat(characterText, false, charName, characterMessage.id, avatarUrl);
+  // Get the replying characters based on group settings
+  const activated = getActivatedGroupMembers();
+  if (activated.length === 0) {
+    console.warn('[phone-ui] No active character in group');
+    return;
+  }
 
-      // Play receive sound if enabled
-      playSoundEffect('receive');
-    }
-  } catch (error) {
-    console.error('[phone-ui] Error generating character response:', error);
-    toastr.error('Failed to generate response');
-  } finally {
-    // Always hide typing indicator when done
-    hideTypingIndicator();
+  for (const character of activated) {
+    if (stopRequested) break;
+    await respondAs(character);
   }
 }
 
@@ -893,10 +2131,10 @@ function playSoundEffect(type) {
 /**
  * Formats timestamp for display
  * @param {Date} date - Date object
+ * @param {Date} [now] - Time to compare against (e.g. the story clock)
  * @returns {string} Formatted time string
  */
-function formatTimestamp(date) {
-  const now = new Date();
+function formatTimestamp(date, now = new Date()) {
   const diff = now - date;
 
   // Less than 1 minute ago - show "Just now"
@@ -924,6 +2162,29 @@ function formatTimestamp(date) {
   });
 }
 
+/**
+ * Formats the day of a message for the day separators
+ * @param {Date} date - Story time
+ * @param {Date|null} now - Current story time, or null to always show the date
+ * @returns {string} "Today", "Yesterday" or a date like "Tue 14 Mar"
+ */
+function formatDayLabel(date, now) {
+  if (now) {
+    const yesterday = new Date(now);
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    if (date.toDateString() === now.toDateString()) {
+      return 'Today';
+    }
+    if (date.toDateString() === yesterday.toDateString()) {
+      return 'Yesterday';
+    }
+  }
+
+  const label = `${date.toLocaleDateString('en-GB', { weekday: 'short' })} ${date.getDate()} ${date.toLocaleDateString('en-GB', { month: 'short' })}`;
+  return !now || date.getFullYear() === now.getFullYear() ? label : `${label} ${date.getFullYear()}`;
+}
+
 /**
  * Escapes HTML to prevent XSS
  * @param {string} text - Text to escape
@@ -1078,6 +2339,13 @@ function setupMessageInteractionHandlers() {
     }
   });
 
+  // Swipe arrows on character bubbles
+  $viewport.on('click', '.message-swipe-btn', async function (e) {
+    e.stopPropagation();
+    const messageId = $(this).closest('.message-row').attr('data-message-id');
+    await swipeMessage(messageId, Number($(this).attr('data-direction')));
+  });
+
   // Right-click for desktop
   $viewport.on('contextmenu', '.message-row', function (e) {
     e.preventDefault();
@@ -1107,7 +2375,7 @@ function showMessageMenu(messageRow, x, y) {
   hideMessageMenu(); // Close any existing menu
 
   const $row = $(messageRow);
-  const messageId = $row.data('message-id');
+  const messageId = $row.attr('data-message-id');
   const isUser = $row.hasClass('user');
   const message = getMessageById(messageId);
 
@@ -1190,7 +2458,7 @@ function showMessageMenu(messageRow, x, y) {
  */
 function hideMessageMenu() {
   if (activeMessageMenu) {
-    const messageId = activeMessageMenu.data('message-id');
+    const messageId = activeMessageMenu.attr('data-message-id');
     $(`[data-message-id="${messageId}"]`).removeClass('message-selected');
     activeMessageMenu.remove();
     activeMessageMenu = null;
@@ -1200,7 +2468,7 @@ function hideMessageMenu() {
 /**
  * Handles message action menu clicks
  * @param {string} action - Action type (copy, edit, delete)
- * @param {number} messageId - Message ID
+ * @param {string} messageId - Message ID
  */
 function handleMessageAction(action, messageId) {
   hideMessageMenu();
@@ -1226,7 +2494,7 @@ function handleMessageAction(action, messageId) {
 
 /**
  * Copies message text to clipboard
- * @param {number} messageId - Message ID
+ * @param {string} messageId - Message ID
  */
 function copyMessage(messageId) {
   const message = getMessageById(messageId);
@@ -1241,7 +2509,7 @@ function copyMessage(messageId) {
 
 /**
  * Enters edit mode for a message
- * @param {number} messageId - Message ID
+ * @param {string} messageId - Message ID
  */
 function enterEditMode(messageId) {
   const message = getMessageById(messageId);
@@ -1307,7 +2575,7 @@ function enterEditMode(messageId) {
 
 /**
  * Saves an edited message
- * @param {number} messageId - Message ID
+ * @param {string} messageId - Message ID
  * @param {string} newText - New message text
  */
 async function saveEdit(messageId, newText) {
@@ -1329,18 +2597,12 @@ async function saveEdit(messageId, newText) {
   }
 
   // Update in main chat
-  await editMessageInMainChat(messageId, trimmedText);
+  if (!updatedMessage.localOnly) {
+    await editMessageInMainChat(messageId, trimmedText);
+  }
 
   // Update DOM
-  const settings = extension_settings[extensionName] || {};
-  const showTimestamps = settings.showTimestamps ?? false;
-  const timestamp = formatTimestamp(updatedMessage.timestamp);
-
-  $bubble.removeClass('editing').html(`
-    <div class="message-text">${escapeHtml(trimmedText)}</div>
-    <div class="message-edited-indicator">(edited)</div>
-    ${showTimestamps ? `<div class="message-timestamp">${timestamp}</div>` : ''}
-  `);
+  updateMessageRow(updatedMessage);
 
   toastr.success('Message edited');
 }
@@ -1356,7 +2618,7 @@ function cancelEdit($bubble) {
 
 /**
  * Deletes a message with undo option
- * @param {number} messageId - Message ID
+ * @param {string} messageId - Message ID
  */
 function deleteMessageWithUndo(messageId) {
   const $row = $(`[data-message-id="${messageId}"]`);
@@ -1473,15 +2735,18 @@ function undoDelete() {
 
 /**
  * Finalizes a delete (removes from main chat)
- * @param {number} messageId - Message ID
+ * @param {string} messageId - Message ID
  */
 async function finalizeDelete(messageId) {
   if (pendingDelete && pendingDelete.messageId === messageId) {
     // Remove from main chat
-    await deleteMessageFromMainChat(messageId);
+    if (!pendingDelete.message.localOnly) {
+      await deleteMessageFromMainChat(messageId);
+    }
 
     // Remove DOM element completely
     pendingDelete.$row.remove();
+    removeEmptyDaySeparators();
 
     // Clear pending delete
     pendingDelete = null;
@@ -1495,9 +2760,20 @@ async function finalizeDelete(messageId) {
 }
 
 /**
- * Regenerates response from a specific message
- * Deletes the target message and all subsequent messages, then regenerates
- * @param {number} messageId - Message ID to regenerate from
+ * Removes day separators left without messages after a delete
+ */
+function removeEmptyDaySeparators() {
+  $('#phone-viewport .phone-day-separator').each(function () {
+    if (!$(this).next().is('.message-row')) {
+      $(this).remove();
+    }
+  });
+}
+
+/**
+ * Regenerates a character message as a new alternate reply (swipe)
+ * Previous replies are kept on the message and can be switched with the bubble arrows
+ * @param {string} messageId - Message ID to regenerate
  */
 async function regenerateFromMessage(messageId) {
   const message = getMessageById(messageId);
@@ -1506,87 +2782,85 @@ async function regenerateFromMessage(messageId) {
     return;
   }
 
-  // Cancel any pending delete
-  if (deleteTimeout) {
-    clearTimeout(deleteTimeout);
-    if (pendingDelete) {
-      finalizeDelete(pendingDelete.messageId);
-    }
-  }
-
-  const messages = getMessages();
-  const messageIndex = messages.findIndex(m => m.id === messageId);
+  const $row = $(`.message-row[data-message-id="${messageId}"]`);
+  $row.addClass('message-regenerating');
+  stopRequested = false;
+  setGeneratingState(true);
 
-  if (messageIndex === -1) {
-    toastr.error('Message not found');
-    return;
-  }
+  try {
+    const characterText = await generateCharacterText(getMessageCharacter(message), {
+      beforeMessageId: messageId,
+      onToken: (text) => $row.find('.message-text').first().text(text)
+    });
 
-  // Get info about the character who sent this message (for regenerating)
-  const targetCharacterId = message.characterId;
-  const targetCharacterName = message.characterName;
+    if (!characterText) {
+      if (!stopRequested) {
+        toastr.warning('Empty response, keeping the current reply');
+      }
+      updateMessageRow(message);
+      return;
+    }
 
-  // Collect all messages from this point onwards to delete
-  const messagesToDelete = messages.slice(messageIndex);
+    const updatedMessage = addSwipe(messageId, characterText);
+    updateMessageRow(updatedMessage);
 
-  // Delete from phone store and main chat (in reverse order to maintain indices)
-  for (let i = messagesToDelete.length - 1; i >= 0; i--) {
-    const msgToDelete = messagesToDelete[i];
+    // Mirror the chosen alternate into the main chat
+    if (!updatedMessage.localOnly) {
+      await editMessageInMainChat(messageId, characterText, { markEdited: false });
+    }
 
-    // Remove from phone store
-    removeMessage(msgToDelete.id);
+    playSoundEffect('receive');
+  } catch (error) {
+    console.error('[phone-ui] Error regenerating response:', error);
+    if (!stopRequested) {
+      toastr.error('Failed to regenerate response');
+    }
+    updateMessageRow(message);
+  } finally {
+    setGeneratingState(false);
+  }
+}
 
-    // Remove from main chat
-    await deleteMessageFromMainChat(msgToDelete.id);
+/**
+ * Switches a message to its previous/next alternate reply
+ * Moving past the last alternate generates a new one
+ * @param {string} messageId - Message ID
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+async function swipeMessage(messageId, direction) {
+  const message = getMessageById(messageId);
+  if (!message?.swipes) return;
 
-    // Remove from DOM
-    $(`[data-message-id="${msgToDelete.id}"]`).remove();
+  const targetSwipeId = message.swipeId + direction;
+  if (targetSwipeId >= message.swipes.length) {
+    await regenerateFromMessage(messageId);
+    return;
   }
 
-  console.log(`[phone-ui] Deleted ${messagesToDelete.length} messages for regeneration`);
+  const updatedMessage = setSwipe(messageId, targetSwipeId);
+  if (!updatedMessage) return;
 
-  // Now regenerate - either for specific character (groups) or general
-  if (isInGroupChat() && targetCharacterId) {
-    // Regenerate for the specific character that was deleted
-    await regenerateForCharacter(targetCharacterId, targetCharacterName);
-  } else {
-    // Single character chat - just regenerate
-    await generateCharacterResponse();
+  updateMessageRow(updatedMessage);
+  if (!updatedMessage.localOnly) {
+    await editMessageInMainChat(messageId, updatedMessage.text, { markEdited: false });
   }
-
-  toastr.success('Response regenerated');
 }
 
 /**
- * Regenerates response for a specific character in group chat
- * @param {string} characterId - Character ID to regenerate for
- * @param {string} characterName - Character name
+ * Finds the character who sent a phone message
+ * @param {Object} message - Message object from message store
+ * @returns {Object} Character object
  */
-async function regenerateForCharacter(characterId, characterName) {
-  const context = getContext();
-
-  // Find the character object
-  let character = null;
-  if (context.characters) {
-    // Try to find by ID first
-    const charIndex = parseInt(characterId, 10);
-    if (!isNaN(charIndex) && context.characters[charIndex]) {
-      character = context.characters[charIndex];
-    }
-    // Fall back to name match
-    if (!character) {
-      character = context.characters.find(c => c.name === characterName);
-    }
+function getMessageCharacter(message) {
+  if (!isInGroupChat()) {
+    return getCurrentCharacter();
   }
 
-  if (!character) {
-    console.warn('[phone-ui] Could not find character for regeneration, falling back to general response');
-    await generateCharacterResponse();
-    return;
-  }
+  const context = getContext();
+  const character = context.characters?.find(c => c.avatar === message.characterId) ||
+    context.characters?.find(c => c.name === message.characterName);
 
-  // Generate response for this specific character
-  await generateResponseForCharacter(character);
+  return character || { name: message.characterName, avatar: null };
 }
 
 /**
@@ -1664,6 +2938,44 @@ export function initPhoneUI() {
     $('#phone-message-input').val('');
   });
 
+  // Stop button (shown while a reply is generating)
+  $('#phone-stop-btn').on('click', () => {
+    stopGenerating();
+  });
+
+  // Typing ends group banter so the user can get a word in
+  $('#phone-message-input').on('input', () => {
+    cancelBanter();
+    updateMentionAutocomplete();
+  });
+
+  // @mention autocomplete: arrows to choose, Enter or Tab to insert, Escape to close
+  // Handled on keydown so Enter inserts the mention instead of sending
+  $('#phone-message-input').on('keydown', (e) => {
+    if (mentionStart === -1) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveMentionSelection(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention($('#phone-mention-list .mention-option.active').attr('data-character-id'));
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      hideMentionAutocomplete();
+    }
+  });
+
+  $('#phone-message-input').on('blur', () => {
+    // Delay so a click on a suggestion lands first
+    setTimeout(hideMentionAutocomplete, 150);
+  });
+
+  $('#phone-mention-list').on('mousedown', '.mention-option', function (e) {
+    e.preventDefault(); // Keep focus in the input
+    insertMention($(this).attr('data-character-id'));
+  });
+
   // Enter key to send (desktop)
   // On mobile, Enter typically inserts newline, so we rely on send button
   $('#phone-message-input').on('keypress', async (e) => {
@@ -1680,6 +2992,169 @@ export function initPhoneUI() {
     togglePhoneUI();
   });
 
+  // Inbox navigation
+  $('#phone-inbox-btn').on('click', () => {
+    showInbox();
+  });
+
+  $('#phone-inbox-list').on('click', '.inbox-entry', async function () {
+    await openInboxEntry($(this).attr('data-conversation-key'));
+  });
+
+  $('#phone-open-chat-btn').on('click', async () => {
+    await openRemoteChat();
+  });
+
+  // Thread switcher
+  $('#phone-threads-btn').on('click', () => {
+    toggleThreadSheet();
+  });
+
+  $('#phone-thread-list').on('click', '.thread-entry', function () {
+    openThread($(this).attr('data-thread-id'));
+  });
+
+  $('#phone-thread-list').on('click', '.thread-rename', function (e) {
+    e.stopPropagation();
+    enterThreadRenameMode($(this).closest('.thread-entry'));
+  });
+
+  $('#phone-thread-list').on('click', '.thread-archive', function (e) {
+    e.stopPropagation();
+    const $entry = $(this).closest('.thread-entry');
+    const wasActive = $entry.hasClass('active');
+    archiveThread($entry.attr('data-thread-id'), !$entry.hasClass('archived'));
+    renderThreadList();
+    if (wasActive) {
+      showThread();
+    } else {
+      updateThreadLabel();
+    }
+  });
+
+  $('#phone-new-thread-btn').on('click', () => {
+    createThreadFromInput();
+  });
+
+  $('#phone-new-thread-name').on('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      createThreadFromInput();
+    }
+  });
+
+  $('#phone-show-archived-threads').on('input', () => {
+    renderThreadList();
+  });
+
+  // Ad-hoc groups: create from the inbox, edit by tapping the group name
+  $('#phone-new-group-btn').on('click', () => {
+    if ($('#phone-adhoc-sheet').is(':visible')) {
+      $('#phone-adhoc-sheet').slideUp(150);
+    } else {
+      showAdHocSheet();
+    }
+  });
+
+  $('#phone-group-name').on('click', () => {
+    const group = remoteThread ? null : getAdHocGroup();
+    if (group) {
+      showAdHocSheet(group.key);
+    }
+  });
+
+  $('#phone-adhoc-search').on('input', () => {
+    filterAdHocMemberList();
+  });
+
+  $('#phone-adhoc-save').on('click', () => {
+    saveAdHocGroupFromSheet();
+  });
+
+  $('#phone-adhoc-delete').on('click', () => {
+    deleteAdHocGroupFromSheet();
+  });
+
+  $('#phone-adhoc-cancel').on('click', () => {
+    $('#phone-adhoc-sheet').slideUp(150);
+  });
+
+  // Reply picker (group chats): choose who answers next, or let someone reply now
+  $('#phone-reply-order-btn').on('click', () => {
+    toggleReplyPicker();
+  });
+
+  $('#phone-group-avatars').on('click', function (e) {
+    const characterId = $(e.target).closest('.group-avatar').attr('data-character-id');
+    if (remoteThread || !characterId) {
+      if (!remoteThread) showReplyPicker();
+      return;
+    }
+    setNextSender(characterId === nextSenderId ? null : characterId);
+  });
+
+  $('#phone-reply-list').on('click', '.reply-picker-entry', function () {
+    const characterId = $(this).attr('data-character-id');
+    setNextSender(characterId === nextSenderId ? null : characterId);
+    $('#phone-reply-sheet').slideUp(150);
+  });
+
+  $('#phone-reply-list').on('click', '.reply-picker-now', async function (e) {
+    e.stopPropagation();
+    await letCharacterReply($(this).closest('.reply-picker-entry').attr('data-character-id'));
+  });
+
+  // Story clock: set the in-story time or skip ahead ("3 hours later")
+  $('#phone-clock-btn').on('click', () => {
+    toggleClockSheet();
+  });
+
+  $('#phone-clock-sheet').on('click', '.phone-clock-skip', function () {
+    onStoryClockChanged(advanceStoryTime(Number($(this).attr('data-minutes'))));
+  });
+
+  $('#phone-clock-morning').on('click', () => {
+    onStoryClockChanged(advanceStoryTimeTo(8));
+  });
+
+  $('#phone-clock-advance').on('click', () => {
+    const amount = Number($('#phone-clock-amount').val());
+    if (amount > 0) {
+      onStoryClockChanged(advanceStoryTime(amount * Number($('#phone-clock-unit').val())));
+    }
+  });
+
+  $('#phone-clock-set').on('click', () => {
+    const value = $('#phone-clock-input').val();
+    if (value) {
+      onStoryClockChanged(setStoryTime(new Date(value)));
+    }
+  });
+
+  $('#phone-clock-reset').on('click', () => {
+    onStoryClockChanged(resetStoryClock());
+  });
+
+  $('#phone-summarize-btn').on('click', async () => {
+    const $button = $('#phone-summarize-btn');
+    $button.prop('disabled', true);
+    try {
+      await summarizeSession({ notify: true });
+    } finally {
+      $button.prop('disabled', false);
+    }
+  });
+
+  $('#phone-text-first-list').on('input', 'input[type="checkbox"]', async function () {
+    await setCharacterTextFirst($(this).attr('data-avatar'), $(this).prop('checked'));
+  });
+
+  // Answer held-back replies once characters are available again
+  setInterval(() => {
+    updateAvailabilityStatus();
+    processPendingReplies();
+  }, PENDING_CHECK_INTERVAL);
+
   // Setup mobile-specific handling
   setupMobileKeyboardHandling();
 
@@ -0,0 +1,185 @@
+/**
+ * Proactive Texts Module
+ * Lets characters text first: after the phone has been idle for a while, or
+ * after a number of main chat turns without any texting
+ */
+
+import { getContext, extension_settings } from "../../../../extensions.js";
+import { getMessages, getChatValue, isInGroupChat } from "./message-store.js";
+import { canCharacterTextFirst } from "./character-settings.js";
+import { isCharacterAvailable } from "./availability.js";
+import { pickByTalkativeness } from "./group-activation.js";
+import { sendProactiveMessage, isReplyInProgress, getCurrentCharacter, getGroupMembers, getCurrentGroup } from "./phone-ui.js";
+
+const extensionName = "st-text-messaging";
+const IDLE_CHECK_INTERVAL = 60 * 1000; // Check idle time once a minute
+
+let idleCheckTimer = null;
+let isSending = false;
+
+/**
+ * Gets the proactive text settings
+ * @returns {{enabled: boolean, idleMinutes: number, turns: number}}
+ */
+function getProactiveSettings() {
+  const settings = extension_settings[extensionName] || {};
+  return {
+    enabled: Boolean(settings.enabled) && (settings.proactiveEnabled ?? false),
+    idleMinutes: Number(settings.proactiveIdleMinutes ?? 30),
+    turns: Number(settings.proactiveTurns ?? 10)
+  };
+}
+
+/**
+ * Starts the periodic idle check
+ */
+export function startProactiveMessaging() {
+  stopProactiveMessaging();
+  idleCheckTimer = setInterval(checkIdleTime, IDLE_CHECK_INTERVAL);
+}
+
+/**
+ * Stops the periodic idle check
+ */
+export function stopProactiveMessaging() {
+  if (idleCheckTimer) {
+    clearInterval(idleCheckTimer);
+    idleCheckTimer = null;
+  }
+}
+
+/**
+ * Checks whether a proactive text may be sent right now
+ * Skips while anything is generating, and never double-texts: an unanswered
+ * proactive text blocks further ones until the user replies
+ * @returns {boolean} True if a character may text first
+ */
+function canSendProactive() {
+  const context = getContext();
+
+  if (isSending || isReplyInProgress()) {
+    return false;
+  }
+
+  if (context.characterId === undefined && !context.groupId) {
+    return false;
+  }
+
+  // Main chat generation in progress
+  if ($('#mes_stop').is(':visible')) {
+    return false;
+  }
+
+  const messages = getMessages();
+  const lastMessage = messages[messages.length - 1];
+  return !lastMessage?.proactive;
+}
+
+/**
+ * Interval callback: texts first once the phone has been idle long enough
+ */
+async function checkIdleTime() {
+  const { enabled, idleMinutes } = getProactiveSettings();
+  if (!enabled || idleMinutes <= 0 || !canSendProactive()) {
+    return;
+  }
+
+  // Only continue existing conversations; an empty thread is never "idle"
+  const messages = getMessages();
+  const lastMessage = messages[messages.length - 1];
+  if (!lastMessage) {
+    return;
+  }
+
+  const idleMs = Date.now() - new Date(lastMessage.timestamp).getTime();
+  if (idleMs >= idleMinutes * 60 * 1000) {
+    await triggerProactiveMessage('idle');
+  }
+}
+
+/**
+ * Counts main chat character turns since the last phone message
+ * Texts aren't in the main chat in mirror mode "none", so counting also stops
+ * where the chat ended when the last text was sent
+ * @returns {number} Number of non-phone character messages at the end of the chat
+ */
+function countTurnsSinceLastText() {
+  const chat = getContext().chat || [];
+  const lastTextIndex = Math.min(getChatValue('lastTextChatLength') ?? 0, chat.length);
+  let turns = 0;
+
+  for (let i = chat.length - 1; i >= lastTextIndex; i--) {
+    const message = chat[i];
+    if (message.extra?.isPhoneMessage) {
+      break;
+    }
+    if (!message.is_user && !message.is_system) {
+      turns++;
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Event handler: a main chat message was received
+ * Texts first after the configured number of turns without texting
+ */
+export async function onMainChatMessageReceived() {
+  const { enabled, turns } = getProactiveSettings();
+  if (!enabled || turns <= 0 || !canSendProactive()) {
+    return;
+  }
+
+  // Fire exactly on every Nth turn, not on each turn after it
+  const turnsSinceText = countTurnsSinceLastText();
+  if (turnsSinceText > 0 && turnsSinceText % turns === 0) {
+    await triggerProactiveMessage('turns');
+  }
+}
+
+/**
+ * Picks who texts first
+ * Unavailable characters never text first. In groups, enabled members are
+ * tried in random order and each texts with a chance equal to their
+ * talkativeness, like ST's natural order
+ * @returns {Object|null} Character object, or null if nobody texts
+ */
+function pickProactiveCharacter() {
+  if (!isInGroupChat()) {
+    const character = getCurrentCharacter();
+    return canCharacterTextFirst(character) && isCharacterAvailable(character) ? character : null;
+  }
+
+  const group = getCurrentGroup();
+  const disabledMembers = group?.disabled_members || [];
+  const candidates = getGroupMembers()
+    .filter(m => !disabledMembers.includes(m.avatar) && canCharacterTextFirst(m) && isCharacterAvailable(m));
+
+  return pickByTalkativeness(candidates);
+}
+
+/**
+ * Generates and delivers a proactive text
+ * @param {string} reason - What triggered it ('idle' or 'turns'), for logging
+ * @returns {Promise<boolean>} True if a message was sent
+ */
+export async function triggerProactiveMessage(reason) {
+  if (!canSendProactive()) {
+    return false;
+  }
+
+  const character = pickProactiveCharacter();
+  if (!character) {
+    console.log(`[proactive] No character chose to text first (${reason})`);
+    return false;
+  }
+
+  isSending = true;
+  try {
+    console.log(`[proactive] ${character.name} is texting first (${reason})`);
+    return await sendProactiveMessage(character);
+  } finally {
+    isSending = false;
+  }
+}
@@ -4,10 +4,19 @@
  */
 
 import { getContext, extension_settings } from "../../../../extensions.js";
-import { buildContextBridgePrompt, summarizeTextingConversation, injectTextingSummaryIntoChat } from "./context-bridge.js";
+import { buildContextBridgePrompt, getMainChatSummary } from "./context-bridge.js";
+import { getTextingProfile } from "./character-settings.js";
+import { getAdHocGroup, isInGroupChat } from "./message-store.js";
 
 const extensionName = "st-text-messaging";
 
+// Capitalization habits a texting profile can set
+const CAPITALIZATION_HABITS = {
+  lowercase: 'Types everything in lowercase, even names and the start of sentences',
+  proper: 'Uses proper capitalization and punctuation',
+  caps: 'Uses ALL CAPS for emphasis'
+};
+
 // Texting style prompt templates
 const TEXTING_PROMPTS = {
   low: `Respond in a casual, conversational texting style. Use occasional emojis and common shorthand.`,
@@ -41,6 +50,41 @@ You're texting via smartphone. Respond authentically like a real person texting:
 Be genuine and conversational! 📱✨`
 };
 
+// System prompt template for raw generation. A paragraph or line whose
+// fields are all empty is left out, so unused sections don't leave headings
+const DEFAULT_RAW_PROMPT = `You are {{char}}, texting with {{user}} on a phone. Write only the text messages {{char}} sends: no narration, actions or descriptions of what anyone does.
+
+{{group}}
+
+About {{char}}:
+{{description}}
+{{personality}}
+
+About {{user}}:
+{{persona}}
+
+Texting style:
+{{textingStyle}}
+
+Relevant lore:
+{{lore}}
+
+What has happened so far:
+{{summary}}
+
+What is happening in the story right now:
+{{scene}}
+
+It is now {{storyTime}}.
+
+{{history}}`;
+
+// Fields a raw prompt template can use, besides {{char}} and {{user}}
+const RAW_PROMPT_FIELDS = ['description', 'personality', 'scenario', 'persona', 'textingStyle', 'lore', 'group', 'summary', 'scene', 'storyTime', 'history'];
+
+// Counts texting mode activations, so a slow activation can tell the phone closed meanwhile
+let textingModeActivation = 0;
+
 /**
  * Gets the default prompt for a given intensity level
  * @param {string} intensity - 'low', 'medium', or 'high'
@@ -52,39 +96,174 @@ export function getDefaultPrompt(intensity = 'medium') {
 
 /**
  * Gets the current effective prompt (custom or default based on settings)
+ * A character's texting profile overrides the global style
+ * @param {Object} [character] - Character whose profile applies
  * @returns {string} The prompt to use
  */
-function getCurrentPrompt() {
+function getCurrentPrompt(character = null) {
+  const profile = character ? getTextingProfile(character) : null;
+  if (profile?.stylePrompt) {
+    return profile.stylePrompt;
+  }
+
   const useCustom = extension_settings[extensionName]?.useCustomPrompt ?? false;
   const customPrompt = extension_settings[extensionName]?.customPrompt;
 
-  if (useCustom && customPrompt) {
+  // A per-character intensity beats the global custom prompt
+  if (useCustom && customPrompt && !profile?.intensity) {
     return customPrompt;
   }
 
-  const intensity = extension_settings[extensionName]?.emojiIntensity || 'medium';
-  return TEXTING_PROMPTS[intensity];
+  const intensity = profile?.intensity || extension_settings[extensionName]?.emojiIntensity || 'medium';
+  return TEXTING_PROMPTS[intensity] || TEXTING_PROMPTS.medium;
 }
 
 /**
- * Checks if currently in a group chat
- * @returns {boolean}
+ * Describes a character's texting habits from their profile
+ * @param {Object} character - Character object
+ * @returns {string} Habits prompt, or empty string if the profile sets none
  */
-function isInGroupChat() {
+export function buildCharacterHabitsPrompt(character) {
+  const profile = getTextingProfile(character);
+  const habits = [];
+
+  if (CAPITALIZATION_HABITS[profile.capitalization]) {
+    habits.push(CAPITALIZATION_HABITS[profile.capitalization]);
+  }
+  if (profile.emojiPalette) {
+    habits.push(`Favorite emoji: ${profile.emojiPalette} (uses these rather than others)`);
+  }
+  if (profile.signOff) {
+    habits.push(`Ends texts with the sign-off "${profile.signOff}"`);
+  }
+
+  if (habits.length === 0) {
+    return '';
+  }
+  return `${character.name}'s texting habits:\n- ${habits.join('\n- ')}`;
+}
+
+/**
+ * Builds the texting style for one character: their style prompt (when it
+ * differs from the global one) and their habits
+ * Used in group replies, where the injected prompt is shared by all members
+ * @param {Object} character - Character object
+ * @returns {string} Style prompt, or empty string if the profile sets nothing
+ */
+export function buildCharacterStylePrompt(character) {
+  const profile = getTextingProfile(character);
+  const parts = [];
+
+  if (profile.stylePrompt || profile.intensity) {
+    parts.push(`${character.name}'s texting style:\n${getCurrentPrompt(character)}`);
+  }
+
+  const habits = buildCharacterHabitsPrompt(character);
+  if (habits) {
+    parts.push(habits);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Gets the default system prompt template for raw generation
+ * @returns {string} Template text
+ */
+export function getDefaultRawPrompt() {
+  return DEFAULT_RAW_PROMPT;
+}
+
+/**
+ * Fills a raw prompt template
+ * Paragraphs and lines whose fields are all empty are removed
+ * @param {string} template - Template text
+ * @param {Object<string, string>} fields - Values of RAW_PROMPT_FIELDS
+ * @returns {string} Filled template
+ */
+function fillRawPromptTemplate(template, fields) {
+  const fill = (text) => text.replace(/{{(\w+)}}/g, (match, key) => (
+    RAW_PROMPT_FIELDS.includes(key) ? fields[key] || '' : match
+  ));
+  const hasOnlyEmptyFields = (text) => {
+    const keys = [...text.matchAll(/{{(\w+)}}/g)]
+      .map(match => match[1])
+      .filter(key => RAW_PROMPT_FIELDS.includes(key));
+    return keys.length > 0 && keys.every(key => !fields[key]);
+  };
+
+  return template
+    .split(/\n\s*\n/)
+    .filter(paragraph => !hasOnlyEmptyFields(paragraph))
+    .map(paragraph => paragraph
+      .split('\n')
+      .filter(line => !(hasOnlyEmptyFields(line) && !fill(line).trim()))
+      .map(fill)
+      .join('\n'))
+    .join('\n\n')
+    .trim();
+}
+
+/**
+ * Builds the system prompt of a raw phone generation from the template:
+ * the character's card, the user's persona, the texting style, lore, the
+ * current scene, the story time, the phone history and (when enabled) the
+ * main chat's summary
+ * @param {Object} character - Character who replies
+ * @param {Object} options
+ * @param {string} options.history - Formatted phone conversation history
+ * @param {string} [options.lore] - World Info activated by the phone messages
+ * @param {string} [options.scene] - What is happening in the main chat (see getSceneContext)
+ * @param {string} [options.time] - Current story time (see formatStoryTime)
+ * @returns {string} System prompt
+ */
+export function buildRawSystemPrompt(character, { history, lore = '', scene = '', time = '' }) {
   const context = getContext();
-  return !!context.groupId;
+  const settings = extension_settings[extensionName] || {};
+  const charName = character.name;
+  const userName = context.name1 || 'User';
+  const inGroup = isInGroupChat();
+  const withNames = (text) => String(text || '')
+    .replace(/{{char}}/gi, charName)
+    .replace(/{{user}}/gi, userName)
+    .trim();
+
+  const useStyle = (settings.useTextingStyle ?? false) && (!inGroup || (settings.groupInheritTextingStyle ?? true));
+  const otherNames = inGroup
+    ? getGroupMembers().filter(m => m.name !== charName).map(m => m.name).join(', ')
+    : '';
+
+  const fields = {
+    description: withNames(character.description),
+    personality: withNames(character.personality),
+    scenario: withNames(character.scenario),
+    persona: withNames(context.powerUserSettings?.persona_description || context.persona),
+    textingStyle: useStyle
+      ? [getCurrentPrompt(character), buildCharacterHabitsPrompt(character)].filter(Boolean).join('\n\n')
+      : '',
+    lore: String(lore || '').trim(),
+    group: inGroup
+      ? `This is a group text with ${userName}${otherNames ? ` and ${otherNames}` : ''}. Only write ${charName}'s texts, never another member's.`
+      : '',
+    summary: (settings.rawIncludeSummary ?? true) ? getMainChatSummary() : '',
+    scene: String(scene || '').trim(),
+    storyTime: String(time || '').trim(),
+    history: String(history || '').trim()
+  };
+
+  const template = settings.rawPrompt || DEFAULT_RAW_PROMPT;
+  const prompt = withNames(fillRawPromptTemplate(template, fields));
+  return typeof context.substituteParams === 'function' ? context.substituteParams(prompt) : prompt;
 }
 
 /**
- * Gets group members from context
+ * Gets group members from context (or from the open ad-hoc group)
  * @returns {Array} Array of character objects in the group
  */
 function getGroupMembers() {
   const context = getContext();
-  if (!context.groupId) return [];
-
   const groups = context.groups || [];
-  const group = groups.find(g => g.id === context.groupId);
+  const group = getAdHocGroup() || groups.find(g => g.id === context.groupId);
 
   if (!group || !group.members) return [];
 
@@ -100,11 +279,10 @@ function getGroupMembers() {
 }
 
 /**
- * Activates texting mode when phone UI opens
- * Injects perspective shift + context from recent chat
+ * Builds the full texting mode prompt: perspective shift + context + style
+ * @returns {Promise<string>} Prompt to inject, or empty string if texting style is disabled
  */
-export function activateTextingMode() {
-  const context = getContext();
+export async function buildTextingModePrompt() {
   const settings = extension_settings[extensionName] || {};
   const textingEnabled = settings.useTextingStyle ?? false;
   const inGroup = isInGroupChat();
@@ -113,15 +291,13 @@ export function activateTextingMode() {
   // For groups, check if we should inherit texting style
   // If not in a group, or group inherits style, check if texting is enabled
   if (!textingEnabled) {
-    console.log('[st-text-messaging] Texting mode activation skipped (texting style disabled)');
-    return;
+    return '';
   }
 
   // If in group and not inheriting style, skip texting prompt injection
   if (inGroup && !groupInheritStyle) {
-    console.log('[st-text-messaging] Group texting mode skipped (inherit style disabled)');
     // Still add group context but without texting style
-    const contextBridge = buildContextBridgePrompt();
+    const contextBridge = await buildContextBridgePrompt();
     const members = getGroupMembers();
     const memberNames = members.map(m => m.name).join(', ');
     const groupOnlyContext = `GROUP TEXT MODE: This is a group text conversation. Participants: ${memberNames}.
@@ -130,52 +306,104 @@ When responding as a character:
 - React naturally to what others have said
 - Keep group dynamics and relationships in mind`;
 
-    context.setExtensionPrompt(extensionName, `${contextBridge}\n\n${groupOnlyContext}`, 1, 0);
-    toastr.info('Texting mode active 📱 (Group)');
-    return;
+    return `${contextBridge}\n\n${groupOnlyContext}`;
   }
 
   // Build combined prompt: perspective shift + context + texting style
-  const perspectivePrompt = getCurrentPrompt();
-  const contextBridge = buildContextBridgePrompt();
+  // Individual chats use the character's texting profile
+  const context = getContext();
+  const character = inGroup ? null : context.characters?.[context.characterId];
+  const perspectivePrompt = getCurrentPrompt(character);
+  const contextBridge = await buildContextBridgePrompt();
+  const habits = character ? buildCharacterHabitsPrompt({ ...character, name: context.name2 || character.name }) : '';
 
   // Add group-specific context if in a group chat
   let groupContext = '';
   if (inGroup) {
     const members = getGroupMembers();
     const memberNames = members.map(m => m.name).join(', ');
+    const memberHabits = members.map(buildCharacterHabitsPrompt).filter(Boolean);
     groupContext = `\n\nGROUP TEXT MODE: This is a group text conversation. Participants: ${memberNames}.
 When responding as a character:
 - Only respond as yourself, never speak for other characters
 - React naturally to what others have said
 - Keep group dynamics and relationships in mind
-- Use the same texting style as individual messages`;
+- Use the same texting style as individual messages${memberHabits.length ? `\n\n${memberHabits.join('\n\n')}` : ''}`;
   }
 
-  const fullPrompt = `${perspectivePrompt}\n\n${contextBridge}${groupContext}`;
+  return `${perspectivePrompt}${habits ? `\n\n${habits}` : ''}\n\n${contextBridge}${groupContext}`;
+}
+
+/**
+ * Activates texting mode when phone UI opens
+ * Injects perspective shift + context from recent chat
+ */
+export async function activateTextingMode() {
+  const context = getContext();
+  const settings = extension_settings[extensionName] || {};
+  const inGroup = isInGroupChat();
+  const activation = ++textingModeActivation;
+
+  const fullPrompt = await buildTextingModePrompt();
+  if (activation !== textingModeActivation) {
+    return; // The phone closed (or reopened) while the scene context was built
+  }
+  if (!fullPrompt) {
+    console.log('[st-text-messaging] Texting mode activation skipped (texting style disabled)');
+    return;
+  }
 
   // Inject at position 1 (high priority)
   context.setExtensionPrompt(extensionName, fullPrompt, 1, 0);
 
+  if (inGroup && !(settings.groupInheritTextingStyle ?? true)) {
+    console.log('[st-text-messaging] Group texting mode skipped (inherit style disabled)');
+    toastr.info('Texting mode active 📱 (Group)');
+    return;
+  }
+
   const modeType = inGroup ? 'group' : 'individual';
   console.log(`[st-text-messaging] Texting mode activated (${modeType}) with context`);
   toastr.info(`Texting mode active 📱${inGroup ? ' (Group)' : ''}`);
 }
 
 /**
- * Deactivates texting mode when phone UI closes
- * Optionally injects summary back into chat
- * @param {Array} phoneMessages - Messages from phone conversation (optional)
+ * Runs a generation with the texting mode prompt injected, even while the
+ * phone is closed, then restores whatever prompt was injected before
+ * @param {Function} callback - Async function to run
+ * @returns {Promise<*>} Result of the callback
  */
-export async function deactivateTextingMode(phoneMessages = []) {
+export async function withTextingModePrompt(callback) {
   const context = getContext();
+  const previous = context.extensionPrompts?.[extensionName];
+  const prompt = await buildTextingModePrompt();
 
-  // Inject texting summary into chat if we have messages
-  if (phoneMessages && phoneMessages.length > 0) {
-    const summary = summarizeTextingConversation(phoneMessages);
-    await injectTextingSummaryIntoChat(summary, false); // hidden by default
+  if (prompt) {
+    context.setExtensionPrompt(extensionName, prompt, 1, 0);
   }
 
+  try {
+    return await callback();
+  } finally {
+    if (prompt) {
+      context.setExtensionPrompt(
+        extensionName,
+        previous?.value ?? '',
+        previous?.position ?? 0,
+        previous?.depth ?? 0
+      );
+    }
+  }
+}
+
+/**
+ * Deactivates texting mode when phone UI closes
+ * The texts themselves are remembered by the session summary (see session-summary.js)
+ */
+export async function deactivateTextingMode() {
+  const context = getContext();
+  textingModeActivation++;
+
   // Option 1: Brief transition prompt, then remove
   const transitionPrompt = `The text conversation has ended. Return to narrative perspective and third-person storytelling. Reference the texting conversation naturally in your narration if relevant.`;
   context.setExtensionPrompt(extensionName, transitionPrompt, 1, 0);
@@ -207,7 +435,9 @@ export function updateTextingPrompt() {
   }
 
   // Get current prompt (custom or default based on settings)
-  const prompt = getCurrentPrompt();
+  // Individual chats use the character's texting profile
+  const character = isInGroupChat() ? null : context.characters?.[context.characterId];
+  const prompt = getCurrentPrompt(character);
   const useCustom = extension_settings[extensionName]?.useCustomPrompt ?? false;
 
   // Inject prompt into LLM payload
@@ -0,0 +1,381 @@
+/**
+ * Reply Pipeline Module
+ * Cleans generated phone replies with an ordered, user-configurable list of
+ * post-processors
+ */
+
+import { extension_settings } from "../../../../extensions.js";
+
+const extensionName = "st-text-messaging";
+
+const DEFAULT_MAX_REPLY_LENGTH = 500;
+
+// Retry generation when more than this share of a reply is narration
+const NARRATION_RETRY_THRESHOLD = 0.6;
+
+// Emoji used when converting *actions* (first match wins)
+const ACTION_EMOJI = [
+  [/\b(laugh|giggl|chuckl|snicker)/i, '😂'],
+  [/\b(smil|grin|beam)/i, '😊'],
+  [/\bwink/i, '😉'],
+  [/\bblush/i, '😳'],
+  [/\b(sigh|exhal)/i, '😮‍💨'],
+  [/\bshrug/i, '🤷'],
+  [/\b(cry|cries|sob|tear)/i, '😢'],
+  [/\b(hug|cuddl)/i, '🤗'],
+  [/\brolls? (her |his |their )?eyes/i, '🙄'],
+  [/\b(frown|pout)/i, '😕'],
+  [/\b(kiss|smooch)/i, '😘'],
+  [/\b(gasp|shock)/i, '😮'],
+  [/\b(think|ponder)/i, '🤔'],
+  [/\b(wave|waving)/i, '👋']
+];
+
+// Verbs that make "Name <verb>" narration: actions, and the speech verbs
+// that tag quoted dialogue ("hey," Kim types)
+const ACTION_VERBS = 'smiles|smiled|grins|grinned|laughs|laughed|giggles|giggled|chuckles|chuckled|smirks|smirked|sighs|sighed|shrugs|shrugged|winks|winked|nods|nodded|blushes|blushed|frowns|frowned|pouts|pouted|glances|glanced|leans|leaned|bites|bit|rolls|rolled|types|typed|texts|texted|sends|sent';
+const SPEECH_VERBS = 'says|said|replies|replied|writes|wrote|adds|added|responds|responded|answers|answered|asks|asked|whispers|whispered|mutters|muttered';
+
+// Text emoticons converted by the emoji normalizer
+const EMOTICONS = {
+  ':)': '🙂',
+  ':-)': '🙂',
+  ':(': '🙁',
+  ':-(': '🙁',
+  ':D': '😄',
+  ':-D': '😄',
+  ';)': '😉',
+  ';-)': '😉',
+  ':P': '😛',
+  ':p': '😛',
+  ':O': '😮',
+  ':o': '😮',
+  "<3": '❤️',
+  ":'(": '😢'
+};
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strips the 📱 marker and "Name:" style speaker prefixes the LLM may add
+ * @param {string} text - Reply text
+ * @param {Object} context - Pipeline context
+ * @param {string} context.charName - Name of the replying character
+ * @returns {string} Text without prefixes
+ */
+function stripPrefixes(text, { charName }) {
+  // Strip leading 📱 emoji if present (we add it for main chat, not phone UI)
+  let result = text.replace(/^📱\s*/, '');
+
+  if (!charName) {
+    return result;
+  }
+
+  // Matches: "Name:", "📱 Name:", "😊 Name:", "{emoji} Name:", etc.
+  const name = escapeRegExp(charName);
+  const namePrefixPatterns = [
+    new RegExp(`^${name}:\\s*`, 'i'),                    // "Name: text"
+    new RegExp(`^\\S+\\s+${name}:\\s*`, 'i'),            // "📱 Name: text" or "{emoji} Name: text"
+    new RegExp(`^[\\p{Emoji}\\s]+${name}:\\s*`, 'iu'),   // Multiple emojis before name
+    new RegExp(`^\\[${name}\\]\\s*`, 'i'),               // "[Name] text"
+    new RegExp(`^\\(${name}\\)\\s*`, 'i'),               // "(Name) text"
+  ];
+
+  for (const pattern of namePrefixPatterns) {
+    if (pattern.test(result)) {
+      result = result.replace(pattern, '');
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Converts an *action* into an emoji a texter might send instead
+ * @param {string} action - Action text without asterisks
+ * @returns {string} Matching emoji, or empty string if none fits
+ */
+function convertAction(action) {
+  for (const [pattern, emoji] of ACTION_EMOJI) {
+    if (pattern.test(action)) {
+      return emoji;
+    }
+  }
+  return '';
+}
+
+/**
+ * Checks whether the text around quotes is nothing but narration about the
+ * character: *actions* and clauses like "Kim grins." or ", Kim types."
+ * Anything else means the quotes are part of the message itself, as in
+ * 'she literally said "I'm leaving"'
+ * @param {string[]} segments - Text between and around the quotes
+ * @param {string} charName - Name of the replying character
+ * @returns {boolean} True if the quotes are wrapped in narration only
+ */
+function isWrappedInNarration(segments, charName) {
+  const narrationClause = charName
+    ? new RegExp(`^${escapeRegExp(charName)}\\s+(?:[a-z]+ly\\s+)?(?:${ACTION_VERBS}|${SPEECH_VERBS})\\b`, 'i')
+    : null;
+  let hasNarration = false;
+
+  for (const segment of segments) {
+    const withoutActions = segment.replace(/\*[^*\n]+\*/g, () => {
+      hasNarration = true;
+      return ' ';
+    });
+    const text = withoutActions.replace(/^[\s,.;:!?—–-]+/, '').trim();
+    if (!text) {
+      continue;
+    }
+    if (!narrationClause?.test(text)) {
+      return false;
+    }
+    hasNarration = true;
+  }
+
+  return hasNarration;
+}
+
+/**
+ * Removes or converts roleplay narration in a reply, counting what was narration
+ * - Quoted dialogue surrounded by narration is extracted
+ * - *asterisk actions* are removed, or converted to emoji
+ * - Lines narrating the character in third person ("Kim smiles.") are dropped
+ * - Quotes wrapping the whole reply are unwrapped
+ * @param {string} text - Reply text
+ * @param {Object} context - Pipeline context
+ * @param {string} context.charName - Name of the replying character
+ * @param {string} [context.narrationMode] - Overrides the configured mode ('remove' or 'convert')
+ * @returns {{text: string, narrationLength: number}} Text without narration, and
+ *   how many characters of the reply were narration
+ */
+function stripNarration(text, { charName, narrationMode } = {}) {
+  const settings = extension_settings[extensionName] || {};
+  const mode = narrationMode ?? settings.narrationMode ?? 'remove';
+  const unwrapQuotes = settings.narrationUnwrapQuotes ?? true;
+
+  let result = text;
+  let narrationLength = 0;
+
+  // Keep only the quoted message when it is wrapped in narration
+  const quotePattern = /["“]([^"“”\n]+)["”]/g;
+  const quotes = [...result.matchAll(quotePattern)].map(m => m[1].trim().replace(/,$/, ''));
+  if (quotes.length > 0 && isWrappedInNarration(result.split(quotePattern).filter((part, i) => i % 2 === 0), charName)) {
+    const dialogue = quotes.join('\n');
+    narrationLength += result.length - dialogue.length;
+    result = dialogue;
+  }
+
+  // Asterisk actions
+  result = result.replace(/\*([^*\n]+)\*/g, (match, action) => {
+    narrationLength += match.length;
+    return mode === 'convert' ? convertAction(action) : '';
+  });
+
+  // Third-person narration lines about the character
+  if (charName) {
+    const narrationLine = new RegExp(`^${escapeRegExp(charName)}\\s+(?:[a-z]+ly\\s+)?(?:${ACTION_VERBS})\\b.*[.!]$`, 'i');
+    result = result
+      .split('\n')
+      .filter(line => {
+        if (!narrationLine.test(line.trim())) {
+          return true;
+        }
+        narrationLength += line.length;
+        return false;
+      })
+      .join('\n');
+  }
+
+  result = result
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/^[ \t]+|[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  // Unwrap a reply that is entirely one quotation
+  if (unwrapQuotes) {
+    const wrapped = result.match(/^["“]([^"“”]+)["”]$/);
+    if (wrapped) {
+      result = wrapped[1].trim();
+    }
+  }
+
+  // Only narration may leave a reply blank
+  if (!result && narrationLength === 0) {
+    return { text: text.trim(), narrationLength };
+  }
+
+  return { text: result, narrationLength };
+}
+
+/**
+ * Removes or converts roleplay narration in a reply (see stripNarration)
+ * @param {string} text - Reply text
+ * @param {Object} context - Pipeline context
+ * @returns {string} Text without narration
+ */
+function sanitizeNarration(text, context) {
+  return stripNarration(text, context).text;
+}
+
+/**
+ * Checks whether a reply is mostly narration rather than a text message
+ * Used to retry generation once when the model answers with stage directions
+ * @param {string} text - Raw generated text
+ * @param {Object} context - Pipeline context
+ * @param {string} context.charName - Name of the replying character
+ * @returns {boolean} True if most of the reply is narration
+ */
+export function isMostlyNarration(text, context) {
+  const original = String(text ?? '').trim();
+  if (!original) {
+    return false;
+  }
+
+  const { narrationLength } = stripNarration(original, { ...context, narrationMode: 'remove' });
+  return narrationLength >= original.length * NARRATION_RETRY_THRESHOLD;
+}
+
+/**
+ * Cuts replies that run past the configured maximum length
+ * Prefers a sentence boundary, then a word boundary
+ * @param {string} text - Reply text
+ * @returns {string} Text within the length limit
+ */
+function limitLength(text) {
+  const maxLength = Number(extension_settings[extensionName]?.maxReplyLength ?? DEFAULT_MAX_REPLY_LENGTH);
+  if (!maxLength || maxLength <= 0 || text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.lastIndexOf('\n'));
+  if (sentenceEnd > maxLength / 2) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = cut.lastIndexOf(' ');
+  return `${wordEnd > 0 ? cut.slice(0, wordEnd) : cut}…`;
+}
+
+/**
+ * Converts text emoticons to emoji and caps runs of the same emoji at three
+ * @param {string} text - Reply text
+ * @returns {string} Normalized text
+ */
+function normalizeEmoji(text) {
+  let result = text;
+
+  for (const [emoticon, emoji] of Object.entries(EMOTICONS)) {
+    // Only convert standalone emoticons, not parts of URLs or words
+    const pattern = new RegExp(`(^|\\s)${escapeRegExp(emoticon)}(?=\\s|$)`, 'g');
+    result = result.replace(pattern, `$1${emoji}`);
+  }
+
+  return result.replace(/(\p{Extended_Pictographic}️?)\1{3,}/gu, '$1$1$1');
+}
+
+// Available post-processors, in their default order
+const REPLY_PROCESSORS = [
+  {
+    id: 'strip-prefix',
+    label: 'Strip Name Prefixes',
+    description: 'Remove 📱 and "Name:" prefixes added by the model',
+    process: stripPrefixes
+  },
+  {
+    id: 'remove-narration',
+    label: 'Remove Narration',
+    description: 'Remove or convert *actions*, narration and wrapping quotes',
+    process: sanitizeNarration
+  },
+  {
+    id: 'limit-length',
+    label: 'Limit Length',
+    description: 'Cut replies longer than the maximum length',
+    process: limitLength
+  },
+  {
+    id: 'normalize-emoji',
+    label: 'Normalize Emoji',
+    description: 'Turn :) style emoticons into emoji and cap repeated emoji',
+    process: normalizeEmoji
+  }
+];
+
+/**
+ * Checks whether a post-processor is enabled
+ * @param {string} id - Processor ID
+ * @returns {boolean} True if the processor runs
+ */
+export function isReplyProcessorEnabled(id) {
+  return getReplyProcessors().some(p => p.id === id && p.enabled);
+}
+
+/**
+ * Gets the post-processors in the user's order with their enabled state
+ * Processors missing from saved settings are appended, enabled
+ * @returns {Array<{id: string, label: string, description: string, enabled: boolean}>}
+ */
+export function getReplyProcessors() {
+  const saved = extension_settings[extensionName]?.replyProcessors || [];
+  const ordered = [];
+
+  for (const entry of saved) {
+    const processor = REPLY_PROCESSORS.find(p => p.id === entry.id);
+    if (processor && !ordered.some(p => p.id === processor.id)) {
+      ordered.push({ ...processor, enabled: entry.enabled !== false });
+    }
+  }
+
+  for (const processor of REPLY_PROCESSORS) {
+    if (!ordered.some(p => p.id === processor.id)) {
+      ordered.push({ ...processor, enabled: true });
+    }
+  }
+
+  return ordered.map(({ id, label, description, enabled }) => ({ id, label, description, enabled }));
+}
+
+/**
+ * Saves the post-processor order and enabled state
+ * @param {Array<{id: string, enabled: boolean}>} processors - Processors in run order
+ */
+export function setReplyProcessors(processors) {
+  extension_settings[extensionName] = extension_settings[extensionName] || {};
+  extension_settings[extensionName].replyProcessors = processors.map(p => ({ id: p.id, enabled: Boolean(p.enabled) }));
+}
+
+/**
+ * Runs a generated reply through the enabled post-processors in order
+ * @param {string} text - Raw generated text
+ * @param {Object} context - Pipeline context
+ * @param {string} context.charName - Name of the replying character
+ * @returns {string} Processed reply text
+ */
+export function processReply(text, context) {
+  let result = String(text ?? '').trim();
+
+  for (const entry of getReplyProcessors()) {
+    if (!entry.enabled) continue;
+
+    const processor = REPLY_PROCESSORS.find(p => p.id === entry.id);
+    try {
+      result = processor.process(result, context).trim();
+    } catch (error) {
+      console.error(`[reply-pipeline] Processor ${entry.id} failed:`, error);
+    }
+  }
+
+  return result;
+}
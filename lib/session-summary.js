@@ -0,0 +1,170 @@
+/**
+ * Session Summary Module
+ * Asks the model to summarize what happened in the texts, when the phone
+ * closes or on demand. The summary is kept in the chat metadata and added to
+ * the main chat's prompt, so the story remembers the conversation
+ */
+
+import { getContext, extension_settings } from "../../../../extensions.js";
+import { getMessages, getCurrentThread, getChatValue, setChatValue } from "./message-store.js";
+import { generateReply } from "./generation.js";
+
+const extensionName = "st-text-messaging";
+const SUMMARY_PROMPT_KEY = `${extensionName}-summary`; // Separate from the texting mode prompt
+const IN_CHAT = 1; // ST's extension_prompt_types.IN_CHAT
+
+// Stored in the phone store as { text, updatedAt: ms, covered: { threadId: ms } }:
+// the summary, and per thread the timestamp of the last text it covers
+const SUMMARY_KEY = 'summary';
+
+const SUMMARY_SYSTEM_PROMPT = `You keep the story's memory of text message conversations. Summarize what happened in the texts in a short paragraph, in past tense and third person: who texted whom, what was said, decided or revealed, and the mood. Keep names and concrete details; leave out greetings and small talk. Output only the summary.`;
+
+let isSummarizing = false;
+
+/**
+ * Gets the session summary settings
+ * @returns {{onClose: boolean, depth: number}}
+ */
+function getSummarySettings() {
+  const settings = extension_settings[extensionName] || {};
+  return {
+    onClose: settings.summaryOnClose ?? true,
+    depth: Number(settings.summaryDepth ?? 4)
+  };
+}
+
+/**
+ * Gets this chat's summary of the texts
+ * @returns {string} Summary text (empty if there is none)
+ */
+export function getSessionSummary() {
+  return getChatValue(SUMMARY_KEY)?.text || '';
+}
+
+/**
+ * Replaces the summary text, e.g. after the user edited it
+ * Which texts are covered is kept, so they aren't summarized again
+ * @param {string} text - New summary (empty removes it)
+ * @returns {boolean} True if saved
+ */
+export function setSessionSummary(text) {
+  const summary = getChatValue(SUMMARY_KEY) || { covered: {} };
+  const trimmed = String(text || '').trim();
+  const saved = setChatValue(SUMMARY_KEY, { ...summary, text: trimmed, updatedAt: Date.now() });
+  updateSummaryInjection();
+  return saved;
+}
+
+/**
+ * Removes the summary; the texts will be summarized from scratch next time
+ * @returns {boolean} True if saved
+ */
+export function clearSessionSummary() {
+  const saved = setChatValue(SUMMARY_KEY, null);
+  updateSummaryInjection();
+  return saved;
+}
+
+/**
+ * Adds the summary to the main chat's prompt at the configured depth,
+ * or removes it when there is none
+ */
+export function updateSummaryInjection() {
+  const context = getContext();
+  if (typeof context.setExtensionPrompt !== 'function') {
+    return;
+  }
+
+  const text = getSessionSummary();
+  const { depth } = getSummarySettings();
+  const prompt = text ? `[Summary of earlier text messages: ${text}]` : '';
+  context.setExtensionPrompt(SUMMARY_PROMPT_KEY, prompt, IN_CHAT, depth);
+}
+
+/**
+ * Formats texts as "Name: text" lines for the summary prompt
+ * @param {Array} messages - Phone messages
+ * @returns {string} Formatted texts
+ */
+function formatTexts(messages) {
+  const context = getContext();
+  const userName = context.name1 || 'User';
+
+  return messages
+    .map(msg => `${msg.sender === 'user' ? userName : msg.characterName || context.name2 || 'Character'}: ${msg.text}`)
+    .join('\n');
+}
+
+/**
+ * Summarizes the texts of the current thread that the summary doesn't cover
+ * yet, merging them into the existing summary
+ * @param {Object} [options]
+ * @param {boolean} [options.notify] - Show a message when done or when there is nothing new
+ * @returns {Promise<boolean>} True if the summary was updated
+ */
+export async function summarizeSession({ notify = false } = {}) {
+  if (isSummarizing) {
+    return false;
+  }
+
+  // Read the thread right away: closing the phone may switch conversations
+  const thread = getCurrentThread();
+  const summary = getChatValue(SUMMARY_KEY) || { text: '', covered: {} };
+  const coveredUntil = thread ? summary.covered?.[thread.id] ?? 0 : 0;
+  const newTexts = getMessages().filter(m => new Date(m.timestamp).getTime() > coveredUntil);
+
+  if (!thread || newTexts.length === 0) {
+    if (notify) {
+      toastr.info('No new texts to summarize');
+    }
+    return false;
+  }
+
+  const prompt = `${summary.text ? `Summary so far:\n${summary.text}\n\n` : ''}New text messages:
+${formatTexts(newTexts)}
+
+${summary.text ? 'Write the updated summary, merging the summary so far with the new texts.' : 'Write the summary.'}`;
+
+  isSummarizing = true;
+  try {
+    const text = String(await generateReply(prompt, { systemPrompt: SUMMARY_SYSTEM_PROMPT }) || '').trim();
+    if (!text) {
+      if (notify) {
+        toastr.warning('The summary came back empty');
+      }
+      return false;
+    }
+
+    const lastTime = Math.max(...newTexts.map(m => new Date(m.timestamp).getTime()));
+    setChatValue(SUMMARY_KEY, {
+      text,
+      updatedAt: Date.now(),
+      covered: { ...summary.covered, [thread.id]: lastTime }
+    });
+    updateSummaryInjection();
+
+    console.log(`[session-summary] Summarized ${newTexts.length} texts`);
+    if (notify) {
+      toastr.success('Texts summarized for the story');
+    }
+    return true;
+  } catch (error) {
+    console.error('[session-summary] Summary failed:', error);
+    if (notify) {
+      toastr.error('Could not summarize the texts');
+    }
+    return false;
+  } finally {
+    isSummarizing = false;
+  }
+}
+
+/**
+ * Summarizes the texts when the phone closes, if enabled
+ * Runs in the background; the phone doesn't wait for it
+ */
+export function summarizeOnClose() {
+  if (getSummarySettings().onClose) {
+    summarizeSession();
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Story Clock Module
+ * Keeps an in-story date and time per chat. Once set, the clock runs
+ * forward in real time from that point; until then it follows the real clock
+ */
+
+import { getChatValue, setChatValue } from "./message-store.js";
+
+// Stored in the phone store as { storyTime: ms, realTime: ms }:
+// the in-story time, and the real time at which it was set
+const CLOCK_KEY = 'clock';
+
+/**
+ * Checks whether this chat has its own story clock
+ * @returns {boolean} True if a story time was set
+ */
+export function isStoryClockSet() {
+  return Boolean(getChatValue(CLOCK_KEY));
+}
+
+/**
+ * Gets the current in-story time
+ * @returns {Date} Story time (real time if no clock is set)
+ */
+export function getStoryTime() {
+  const clock = getChatValue(CLOCK_KEY);
+  if (!clock) {
+    return new Date();
+  }
+  return new Date(clock.storyTime + (Date.now() - clock.realTime));
+}
+
+/**
+ * Sets the in-story time for this chat
+ * @param {Date} date - New story time
+ * @returns {boolean} True if saved
+ */
+export function setStoryTime(date) {
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) {
+    return false;
+  }
+  return setChatValue(CLOCK_KEY, { storyTime: time, realTime: Date.now() });
+}
+
+/**
+ * Moves the story clock forward (or back, with a negative value)
+ * @param {number} minutes - Minutes to advance
+ * @returns {boolean} True if saved
+ */
+export function advanceStoryTime(minutes) {
+  return setStoryTime(getStoryTime().getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Moves the story clock forward to the next time the clock shows a given hour,
+ * e.g. "the next morning"
+ * @param {number} hour - Hour of the day (0-23)
+ * @returns {boolean} True if saved
+ */
+export function advanceStoryTimeTo(hour) {
+  const next = getStoryTime();
+  if (next.getHours() >= hour) {
+    next.setDate(next.getDate() + 1);
+  }
+  next.setHours(hour, 0, 0, 0);
+  return setStoryTime(next);
+}
+
+/**
+ * Removes this chat's story clock so it follows real time again
+ * @returns {boolean} True if saved
+ */
+export function resetStoryClock() {
+  return setChatValue(CLOCK_KEY, null);
+}
+
+/**
+ * Gets the story time a message was sent at
+ * Messages from before the story clock existed use their real time
+ * @param {Object} message - Phone message
+ * @returns {Date} Story time of the message
+ */
+export function getMessageStoryTime(message) {
+  return new Date(message.storyTime ?? message.timestamp);
+}
+
+/**
+ * Formats a story time for prompts, e.g. "Tuesday, March 14, 2023 at 2:04 AM"
+ * @param {Date} date - Story time
+ * @returns {string} Formatted date and time
+ */
+export function formatStoryTime(date) {
+  return date.toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
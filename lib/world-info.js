@@ -0,0 +1,200 @@
+/**
+ * World Info Module
+ * Activates lorebook entries from phone messages. Texts reach generation
+ * inside one quiet prompt, which ST's World Info scan doesn't read, so the
+ * phone history is scanned here and the activated lore is added to phone
+ * prompts. A phone lorebook can also hold entries that only apply to texts
+ */
+
+import { getContext, extension_settings } from "../../../../extensions.js";
+
+const extensionName = "st-text-messaging";
+
+// ST's selectiveLogic values for secondary keys
+const SELECTIVE_LOGIC = {
+  AND_ANY: 0,
+  NOT_ALL: 1,
+  NOT_ANY: 2,
+  AND_ALL: 3
+};
+
+/**
+ * Gets the World Info settings
+ * @returns {{enabled: boolean, phoneLorebook: string}}
+ */
+function getWorldInfoSettings() {
+  const settings = extension_settings[extensionName] || {};
+  return {
+    enabled: settings.worldInfoEnabled ?? true,
+    phoneLorebook: String(settings.phoneLorebook || '').trim()
+  };
+}
+
+/**
+ * Parses a key written as a regular expression, like ST does ("/pattern/flags")
+ * @param {string} key - Entry key
+ * @returns {RegExp|null} Regular expression, or null for a plain key
+ */
+function parseKeyRegex(key) {
+  const match = key.match(/^\/([\s\S]+)\/([gimsuy]*)$/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a key appears in the scanned text
+ * Follows the entry's case sensitivity and whole word options; plain keys
+ * match anywhere unless whole words are required
+ * @param {string} text - Scanned text
+ * @param {string} key - Entry key
+ * @param {Object} entry - Lorebook entry
+ * @returns {boolean} True if the key matches
+ */
+function matchesKey(text, key, entry) {
+  const trimmed = String(key || '').trim();
+  if (!trimmed) {
+    return false;
+  }
+
+  const regex = parseKeyRegex(trimmed);
+  if (regex) {
+    return regex.test(text);
+  }
+
+  const caseSensitive = entry.caseSensitive ?? false;
+  const haystack = caseSensitive ? text : text.toLowerCase();
+  const needle = caseSensitive ? trimmed : trimmed.toLowerCase();
+
+  // Like ST, keys of several words are matched as plain text
+  if (!(entry.matchWholeWords ?? false) || /\s/.test(needle)) {
+    return haystack.includes(needle);
+  }
+
+  const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|\\W)(${escaped})(?:$|\\W)`).test(haystack);
+}
+
+/**
+ * Checks whether a lorebook entry is activated by the scanned text
+ * @param {Object} entry - Lorebook entry
+ * @param {string} text - Scanned text
+ * @returns {boolean} True if the entry applies
+ */
+function isEntryActivated(entry, text) {
+  if (entry.disable || !entry.content) {
+    return false;
+  }
+  if (entry.constant) {
+    return true;
+  }
+
+  const keys = Array.isArray(entry.key) ? entry.key : [];
+  if (!keys.some(key => matchesKey(text, key, entry))) {
+    return false;
+  }
+
+  const secondaryKeys = (Array.isArray(entry.keysecondary) ? entry.keysecondary : []).filter(k => String(k).trim());
+  if (!entry.selective || secondaryKeys.length === 0) {
+    return true;
+  }
+
+  const matches = secondaryKeys.map(key => matchesKey(text, key, entry));
+  switch (entry.selectiveLogic ?? SELECTIVE_LOGIC.AND_ANY) {
+    case SELECTIVE_LOGIC.NOT_ALL:
+      return !matches.every(Boolean);
+    case SELECTIVE_LOGIC.NOT_ANY:
+      return !matches.some(Boolean);
+    case SELECTIVE_LOGIC.AND_ALL:
+      return matches.every(Boolean);
+    default:
+      return matches.some(Boolean);
+  }
+}
+
+/**
+ * Runs ST's own World Info scan over the phone messages
+ * A dry run, so timed effects (sticky, cooldown) of the main chat are untouched
+ * @param {string[]} lines - Phone messages as "Name: text", newest first
+ * @returns {Promise<string[]>} Activated lore
+ */
+async function scanChatLore(lines) {
+  const context = getContext();
+  if (typeof context.getWorldInfoPrompt !== 'function') {
+    return [];
+  }
+
+  try {
+    const result = await context.getWorldInfoPrompt(lines, context.maxContext, true);
+    const depthEntries = (result?.worldInfoDepth || []).flatMap(depth => depth.entries || []);
+    return [
+      result?.worldInfoString ?? [result?.worldInfoBefore, result?.worldInfoAfter].filter(Boolean).join('\n'),
+      ...depthEntries
+    ];
+  } catch (error) {
+    console.warn('[world-info] World Info scan failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Finds the phone lorebook entries activated by the phone messages
+ * Entries are ordered like ST inserts them: lower order first
+ * @param {string} lorebookName - Name of the phone lorebook
+ * @param {string} text - Scanned text
+ * @returns {Promise<string[]>} Activated lore
+ */
+async function scanPhoneLorebook(lorebookName, text) {
+  const context = getContext();
+  if (typeof context.loadWorldInfo !== 'function') {
+    return [];
+  }
+
+  try {
+    const data = await context.loadWorldInfo(lorebookName);
+    if (!data?.entries) {
+      console.warn('[world-info] Phone lorebook not found:', lorebookName);
+      return [];
+    }
+
+    return Object.values(data.entries)
+      .filter(entry => isEntryActivated(entry, text))
+      .sort((a, b) => (a.order ?? 100) - (b.order ?? 100))
+      .map(entry => entry.content);
+  } catch (error) {
+    console.warn('[world-info] Could not load the phone lorebook:', error);
+    return [];
+  }
+}
+
+/**
+ * Gets the lore activated by phone messages: entries from the chat's active
+ * lorebooks, scanned by ST, and entries from the phone lorebook
+ * @param {string[]} lines - Phone messages as "Name: text", oldest first
+ * @returns {Promise<string>} Lore to add to the phone prompt (empty if none)
+ */
+export async function getPhoneLore(lines) {
+  const { enabled, phoneLorebook } = getWorldInfoSettings();
+  if (!enabled || lines.length === 0) {
+    return '';
+  }
+
+  const newestFirst = [...lines].reverse();
+  const lore = [
+    ...await scanChatLore(newestFirst),
+    ...(phoneLorebook ? await scanPhoneLorebook(phoneLorebook, newestFirst.join('\n')) : [])
+  ];
+
+  const context = getContext();
+  const substitute = typeof context.substituteParams === 'function'
+    ? context.substituteParams
+    : (text) => text;
+
+  const unique = [...new Set(lore.map(text => String(text || '').trim()).filter(Boolean))];
+  return substitute(unique.join('\n'));
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSchedule, getAvailability } from '../lib/availability.js';
+
+const SUN = 0, MON = 1, FRI = 5, SAT = 6;
+
+/**
+ * Makes a character with an availability schedule on its card
+ * @param {string} availability - Schedule text
+ * @returns {Object} Character object
+ */
+function withSchedule(availability) {
+  return { name: 'Kim', data: { extensions: { 'st-text-messaging': { availability } } } };
+}
+
+/**
+ * Makes a local time in the week of Sunday, March 10, 2024
+ * @param {number} day - Day of the week (0 = Sunday)
+ * @param {number} hours - Hour
+ * @param {number} [minutes] - Minutes
+ * @returns {Date} Local date
+ */
+function at(day, hours, minutes = 0) {
+  return new Date(2024, 2, 10 + day, hours, minutes);
+}
+
+test('parseSchedule reads days, times and labels', () => {
+  assert.deepEqual(parseSchedule('Mon-Fri 09:00-17:00 At work\nDaily 23:30 - 7:00'), [
+    { days: [1, 2, 3, 4, 5], start: 9 * 60, end: 17 * 60, label: 'At work' },
+    { days: [0, 1, 2, 3, 4, 5, 6], start: 23 * 60 + 30, end: 7 * 60, label: 'Unavailable' }
+  ]);
+});
+
+test('parseSchedule wraps day ranges around the week', () => {
+  const [window] = parseSchedule('Fri-Mon 10:00-12:00 Away');
+  assert.deepEqual(window.days.sort(), [SUN, MON, FRI, SAT]);
+});
+
+test('parseSchedule accepts 24:00 but nothing later', () => {
+  assert.deepEqual(parseSchedule('Sat 18:00-24:00 Party').map(w => w.end), [24 * 60]);
+  assert.deepEqual(parseSchedule('Sat 18:00-24:30 Party\nSat 18:00-25:00 Party'), []);
+});
+
+test('parseSchedule skips lines it cannot read', () => {
+  const windows = parseSchedule([
+    'At work all day',
+    'Funday 09:00-17:00 At work',
+    'Mon 9-17 At work',
+    'Mon 09:60-17:00 At work',
+    'Mon 09:00-09:00 At work',
+    'Tue 09:00-17:00 At work'
+  ].join('\n'));
+  assert.deepEqual(windows.map(w => w.days), [[2]]);
+});
+
+test('a window is active between its start and end', () => {
+  const kim = withSchedule('Mon-Fri 09:00-17:00 At work');
+  assert.deepEqual(getAvailability(kim, at(MON, 12)), {
+    available: false,
+    label: 'At work',
+    since: at(MON, 9),
+    until: at(MON, 17)
+  });
+  assert.equal(getAvailability(kim, at(MON, 17)).available, true);
+  assert.equal(getAvailability(kim, at(SAT, 12)).available, true);
+});
+
+test('an overnight window is still active after midnight on the next day', () => {
+  const kim = withSchedule('Sat,Sun 22:00-02:00 Out with friends');
+  assert.deepEqual(getAvailability(kim, at(MON, 1)), {
+    available: false,
+    label: 'Out with friends',
+    since: at(SUN, 22),
+    until: at(MON, 2)
+  });
+  assert.deepEqual(getAvailability(kim, at(SAT, 23)).until, at(SAT + 1, 2));
+  assert.equal(getAvailability(kim, at(MON, 2)).available, true);
+  assert.equal(getAvailability(kim, at(SAT, 1)).available, true, 'Friday night is not in the schedule');
+});
+
+test('a window ending at 24:00 lasts until midnight', () => {
+  const kim = withSchedule('Sat 18:00-24:00 Party');
+  const party = getAvailability(kim, at(SAT, 23, 59));
+  assert.equal(party.available, false);
+  assert.deepEqual(party.until, at(SAT + 1, 0));
+  assert.equal(getAvailability(kim, at(SAT + 1, 0)).available, true);
+});
+
+test('a week-wrapping range covers the days across the weekend', () => {
+  const kim = withSchedule('Fri-Mon 10:00-12:00 Away');
+  assert.equal(getAvailability(kim, at(SUN, 11)).available, false);
+  assert.equal(getAvailability(kim, at(MON, 11)).available, false);
+  assert.equal(getAvailability(kim, at(MON + 1, 11)).available, true);
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extension_settings } from '../../../../extensions.js';
+import {
+  addMessageToMainChat,
+  editMessageInMainChat,
+  getMainChatMirrors,
+  startDigestSession,
+  endDigestSession
+} from '../lib/context-bridge.js';
+
+beforeEach(() => {
+  extension_settings['st-text-messaging'] = { mirrorMode: 'digest' };
+  globalThis.stContext = {
+    name1: 'Alex',
+    name2: 'Kim',
+    chat: [{ name: 'Alex', is_user: true, mes: 'The story so far' }],
+    extensionSettings: extension_settings,
+    saveChat: async () => {},
+    addOneMessage: async () => {},
+    updateMessageBlock: () => {}
+  };
+  startDigestSession();
+});
+
+test('digest: one message per phone session', async () => {
+  const chat = globalThis.stContext.chat;
+  await addMessageToMainChat('hi', true, null, 'pm-1');
+  chat.push({ name: 'Kim', mes: 'The story goes on' });
+  await addMessageToMainChat('hey', false, 'Kim', 'pm-2');
+  assert.equal(chat.length, 3);
+  assert.deepEqual(chat[1].extra.phoneMessages.map(e => e.id), ['pm-1', 'pm-2']);
+
+  endDigestSession();
+  startDigestSession();
+  await addMessageToMainChat('still there?', true, null, 'pm-3');
+  assert.equal(chat.length, 4);
+});
+
+test('digest: multi-line texts and edits are read back by their marker', async () => {
+  const chat = globalThis.stContext.chat;
+  await addMessageToMainChat('hi', true, null, 'pm-1');
+  await addMessageToMainChat('hey\nwhat\'s up', false, 'Kim', 'pm-2');
+  assert.deepEqual(getMainChatMirrors(), [
+    { id: 'pm-1', text: 'hi' },
+    { id: 'pm-2', text: 'hey\nwhat\'s up' }
+  ]);
+
+  chat[1].mes = chat[1].mes.replace('Alex: hi', 'Alex: hi there\nhow are you');
+  assert.deepEqual(getMainChatMirrors()[0], { id: 'pm-1', text: 'hi there\nhow are you' });
+  assert.equal(chat[1].extra.phoneMessages[0].text, 'hi', 'reading does not write to the chat');
+
+  await editMessageInMainChat('pm-2', 'hello');
+  assert.deepEqual(getMainChatMirrors(), [
+    { id: 'pm-1', text: 'hi there\nhow are you' },
+    { id: 'pm-2', text: 'hello' }
+  ]);
+});
+
+test('digest: texts with markup are escaped and keep their place', async () => {
+  const chat = globalThis.stContext.chat;
+  await addMessageToMainChat('look </details> here', true, null, 'pm-1');
+  await addMessageToMainChat('<!-- text:pm-1 -->\nAlex: not me', false, 'Kim', 'pm-2');
+  await addMessageToMainChat('ok', true, null, 'pm-3');
+
+  assert.ok(!chat[1].mes.includes('<details>'), 'the prompt gets plain lines');
+  assert.ok(chat[1].extra.display_text.includes('look &lt;/details&gt; here'));
+  assert.ok(!chat[1].extra.display_text.includes('<!--'));
+  assert.deepEqual(getMainChatMirrors(), [
+    { id: 'pm-1', text: 'look </details> here' },
+    { id: 'pm-2', text: '<!-- text:pm-1 -->\nAlex: not me' },
+    { id: 'pm-3', text: 'ok' }
+  ]);
+
+  await editMessageInMainChat('pm-3', 'okay');
+  assert.deepEqual(getMainChatMirrors().map(m => m.text), ['look </details> here', '<!-- text:pm-1 -->\nAlex: not me', 'okay']);
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extension_settings } from '../../../../extensions.js';
+import { generateReply } from '../lib/generation.js';
+
+let commands;
+let errors;
+let state;
+
+/**
+ * Reads the unnamed argument of a slash command, unquoting it
+ * @param {string} command - Command text
+ * @returns {string} Argument ('' if none)
+ */
+function readArgument(command) {
+  const quoted = command.match(/ "((?:[^"\\]|\\.)*)"$/);
+  return quoted ? quoted[1].replace(/\\"/g, '"') : '';
+}
+
+beforeEach(() => {
+  commands = [];
+  errors = [];
+  state = { profile: '<None>', api: 'openai', model: 'gpt-main', preset: 'Main | "quoted"' };
+  globalThis.toastr = { warning: () => {}, error: (message) => errors.push(message) };
+  extension_settings['st-text-messaging'] = { phoneProfileId: 'p2', phonePreset: 'Phone "fast" | cheap' };
+
+  const profiles = [{ id: 'p2', name: 'Phone | profile', preset: 'Default' }];
+  globalThis.stContext = {
+    extensionSettings: { connectionManager: { profiles, selectedProfile: null } },
+    getPresetManager: () => ({
+      getSelectedPresetName: () => state.preset,
+      findPreset: (name) => name,
+      selectPreset: (name) => { state.preset = name; }
+    }),
+    executeSlashCommandsWithOptions: async (command) => {
+      commands.push(command);
+      const name = command.split(' ')[0].slice(1);
+      const value = readArgument(command);
+      if (!value) {
+        return { pipe: state[name] };
+      }
+      if (name === 'api' && state.failApi) {
+        return { isError: true, errorMessage: 'Unknown API' };
+      }
+      state[name] = value;
+      if (name === 'profile' && value !== '<None>') {
+        state.api = 'claude';
+        state.model = 'phone-model';
+        state.preset = 'Default';
+      }
+      return { pipe: '' };
+    },
+    generateQuietPrompt: async () => `${state.profile}/${state.preset}`
+  };
+});
+
+test('names with quotes and pipes are quoted, and the main chat is restored', async () => {
+  const reply = await generateReply('hi');
+  assert.equal(reply, 'Phone | profile/Phone "fast" | cheap');
+  assert.ok(commands.includes('/profile await=true "Phone | profile"'));
+  assert.deepEqual(state, { profile: '<None>', api: 'openai', model: 'gpt-main', preset: 'Main | "quoted"' });
+  assert.deepEqual(errors, []);
+});
+
+test('a failed restore step is reported and the others still run', async () => {
+  state.failApi = true;
+  await generateReply('hi');
+  assert.equal(state.model, 'gpt-main');
+  assert.equal(state.preset, 'Main | "quoted"');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /API "openai"/);
+});
+
+test('names with macros are refused', async () => {
+  extension_settings['st-text-messaging'].phonePreset = '';
+  globalThis.stContext.extensionSettings.connectionManager.profiles[0].name = '{{user}} profile';
+  await assert.rejects(generateReply('hi'), /can't be passed to a slash command/);
+  assert.equal(state.profile, '<None>');
+});
+
+test('streamed replies get the main chat and extension prompts like quiet ones', async () => {
+  let sent = null;
+  extension_settings['st-text-messaging'] = { streamReplies: true };
+  Object.assign(globalThis.stContext, {
+    name1: 'Alex',
+    name2: 'Kim',
+    chat: [
+      { name: 'Alex', is_user: true, mes: 'We meet at the docks.' },
+      { name: 'Kim', is_user: false, mes: 'Kim nods.' },
+      { name: 'Kim', is_user: false, mes: '📱 omw', extra: { isPhoneMessage: true } }
+    ],
+    getCharacterCardFields: () => ({ description: 'Kim is a sailor.' }),
+    extensionPrompts: {
+      'st-text-messaging': { value: 'Text like a phone.', position: 1, depth: 0, role: 0 },
+      summary: { value: 'Summary so far.', position: 1, depth: 1, role: 0 },
+      note: { value: 'Before everything.', position: 2, depth: 0, role: 0 },
+      off: { value: 'Filtered out.', position: 0, depth: 0, role: 0, filter: async () => false }
+    },
+    ConnectionManagerRequestService: {
+      sendRequest: async (profileId, messages) => {
+        sent = messages;
+        return async function* () {
+          yield { text: 'hey' };
+        };
+      }
+    }
+  });
+  globalThis.stContext.extensionSettings.connectionManager.selectedProfile = 'p2';
+
+  const reply = await generateReply('Reply to the texts', { onToken: () => {} });
+  assert.equal(reply, 'hey');
+  assert.deepEqual(sent, [
+    { role: 'system', content: 'Before everything.\n\nKim is a sailor.' },
+    { role: 'user', content: 'Alex: We meet at the docks.' },
+    { role: 'system', content: 'Summary so far.' },
+    { role: 'assistant', content: 'Kim: Kim nods.' },
+    { role: 'system', content: 'Text like a phone.' },
+    { role: 'user', content: 'Reply to the texts' }
+  ]);
+});
@@ -0,0 +1,122 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ACTIVATION_STRATEGY, activateGroupMembers } from '../lib/group-activation.js';
+
+const alice = { name: 'Alice', avatar: 'alice.png', talkativeness: 0.5 };
+const bob = { name: 'Bob', avatar: 'bob.png', talkativeness: 0.5 };
+const carol = { name: 'Carol', avatar: 'carol.png', talkativeness: 0 };
+const members = [alice, bob, carol];
+
+/**
+ * Makes Math.random always return one value
+ * @param {number} value - Value to return
+ */
+function stubRandom(value) {
+  mock.method(Math, 'random', () => value);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('natural: @mentioned members are activated first', () => {
+  stubRandom(0.99); // every talkativeness roll fails
+  const activated = activateGroupMembers(members, {
+    strategy: ACTIVATION_STRATEGY.NATURAL,
+    mentionedIds: ['carol.png']
+  });
+  assert.deepEqual(activated, [carol]);
+});
+
+test('natural: members whose talkativeness roll succeeds are activated', () => {
+  stubRandom(0.4);
+  const activated = activateGroupMembers(members, { strategy: ACTIVATION_STRATEGY.NATURAL });
+  assert.deepEqual(new Set(activated), new Set([alice, bob]));
+});
+
+test('natural: the last speaker is banned unless self responses are allowed', () => {
+  stubRandom(0.4);
+  const history = [
+    { sender: 'user', text: 'hi' },
+    { sender: 'character', characterId: 'alice.png', text: 'hey' }
+  ];
+  const banned = activateGroupMembers(members, {
+    strategy: ACTIVATION_STRATEGY.NATURAL,
+    isUserInput: false,
+    mentionedIds: ['alice.png'],
+    history
+  });
+  assert.deepEqual(banned, [bob]);
+
+  const allowed = activateGroupMembers(members, {
+    strategy: ACTIVATION_STRATEGY.NATURAL,
+    isUserInput: false,
+    allowSelfResponses: true,
+    history
+  });
+  assert.ok(allowed.includes(alice));
+});
+
+test('natural: falls back to a member with talkativeness above zero', () => {
+  stubRandom(0.99);
+  const quiet = [{ ...carol }, { ...alice, talkativeness: 0.2 }];
+  const activated = activateGroupMembers(quiet, { strategy: ACTIVATION_STRATEGY.NATURAL });
+  assert.deepEqual(activated, [quiet[1]]);
+});
+
+test('list: returns every enabled member in group order', () => {
+  stubRandom(0);
+  const activated = activateGroupMembers(members, { strategy: ACTIVATION_STRATEGY.LIST });
+  assert.deepEqual(activated, members);
+});
+
+test('pooled: members who have not spoken since the user come first', () => {
+  stubRandom(0);
+  const history = [
+    { sender: 'character', characterId: 'bob.png', text: 'earlier' },
+    { sender: 'user', text: 'hi' },
+    { sender: 'character', characterId: 'alice.png', text: 'hey' },
+    { sender: 'character', characterId: 'carol.png', text: 'yo' }
+  ];
+  const activated = activateGroupMembers(members, { strategy: ACTIVATION_STRATEGY.POOLED, history });
+  assert.deepEqual(activated, [bob]);
+});
+
+test('pooled: once everyone has spoken, anyone but the last speaker', () => {
+  stubRandom(0);
+  const history = [
+    { sender: 'user', text: 'hi' },
+    { sender: 'character', characterId: 'bob.png', text: 'hey' },
+    { sender: 'character', characterId: 'carol.png', text: 'yo' },
+    { sender: 'character', characterId: 'alice.png', text: 'sup' }
+  ];
+  const activated = activateGroupMembers(members, { strategy: ACTIVATION_STRATEGY.POOLED, history });
+  assert.deepEqual(activated, [bob]);
+});
+
+test('manual: nobody answers the user', () => {
+  stubRandom(0);
+  const activated = activateGroupMembers(members, { strategy: ACTIVATION_STRATEGY.MANUAL, isUserInput: true });
+  assert.deepEqual(activated, []);
+});
+
+test('manual: one random member in auto mode', () => {
+  stubRandom(0.99);
+  const activated = activateGroupMembers(members, { strategy: ACTIVATION_STRATEGY.MANUAL, isUserInput: false });
+  assert.equal(activated.length, 1);
+  assert.ok(members.includes(activated[0]));
+});
+
+test('natural: nobody is picked when no member talks, not even the banned speaker', () => {
+  stubRandom(0.99);
+  const quiet = [{ ...carol }, { ...alice, talkativeness: 0 }];
+  assert.deepEqual(activateGroupMembers(quiet, { strategy: ACTIVATION_STRATEGY.NATURAL }), []);
+
+  const history = [{ sender: 'character', characterId: 'bob.png', text: 'hey' }];
+  const withBanned = [{ ...carol }, { ...bob, talkativeness: 0.2 }];
+  const activated = activateGroupMembers(withBanned, {
+    strategy: ACTIVATION_STRATEGY.NATURAL,
+    isUserInput: false,
+    history
+  });
+  assert.deepEqual(activated, []);
+});
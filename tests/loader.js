@@ -0,0 +1,20 @@
+/**
+ * Module resolve hook for tests
+ * Maps the SillyTavern extensions.js import to a stub
+ */
+
+const EXTENSIONS_STUB = new URL('./stubs/extensions.js', import.meta.url).href;
+
+/**
+ * Resolves SillyTavern's extensions.js to the stub, everything else as usual
+ * @param {string} specifier - Imported specifier
+ * @param {Object} context - Resolve context
+ * @param {Function} nextResolve - Next resolver in the chain
+ * @returns {Promise<Object>} Resolved module
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.endsWith('/extensions.js') && !specifier.startsWith('./')) {
+    return { url: EXTENSIONS_STUB, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,123 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extension_settings } from '../../../../extensions.js';
+import { loadPhoneStore, addMessage, getMessages, getStore, applyMainChatMirrors, hasUnsyncedMirrors } from '../lib/message-store.js';
+import { addMessageToMainChat, getMainChatMirrors } from '../lib/context-bridge.js';
+
+let chatCount = 0;
+
+beforeEach(async () => {
+  const chatId = `chat-${++chatCount}`;
+  extension_settings['st-text-messaging'] = { mirrorMode: 'full' };
+  globalThis.stContext = {
+    name1: 'Alex',
+    name2: 'Kim',
+    characterId: 0,
+    characters: [{ name: 'Kim', avatar: 'kim.png' }],
+    chat: [{ name: 'Alex', is_user: true, mes: 'The story so far' }],
+    chatMetadata: {},
+    extensionSettings: extension_settings,
+    getCurrentChatId: () => chatId,
+    saveMetadata: () => {},
+    saveChat: async () => {},
+    addOneMessage: async () => {}
+  };
+  await loadPhoneStore();
+});
+
+/**
+ * Adds a text on the phone and mirrors it into the main chat
+ * @param {string} text - Text
+ * @param {boolean} isUser - Sent by the user
+ * @returns {Promise<Object>} Phone message
+ */
+async function sendText(text, isUser) {
+  const message = addMessage({ sender: isUser ? 'user' : 'character', text, characterName: isUser ? 'Alex' : 'Kim' });
+  await addMessageToMainChat(text, isUser, isUser ? null : 'Kim', message.id);
+  return message;
+}
+
+test('a text that starts with 📱 is not changed by syncing', async () => {
+  await sendText('📱 new phone who dis', true);
+  assert.equal(hasUnsyncedMirrors(getMainChatMirrors()), false);
+  assert.equal(applyMainChatMirrors(getMainChatMirrors()), false);
+  assert.equal(getMessages()[0].text, '📱 new phone who dis');
+  assert.equal(getMessages()[0].edited, undefined);
+});
+
+test('edits and moves in the main chat are applied', async () => {
+  await sendText('one', true);
+  await sendText('two', false);
+  const chat = globalThis.stContext.chat;
+
+  chat[1].mes = '📱 one, edited';
+  assert.equal(hasUnsyncedMirrors(getMainChatMirrors()), true);
+  [chat[1], chat[2]] = [chat[2], chat[1]];
+
+  assert.equal(applyMainChatMirrors(getMainChatMirrors(), { markEdited: false }), true);
+  assert.deepEqual(getMessages().map(m => m.text), ['two', 'one, edited']);
+  assert.ok(!getMessages()[1].edited);
+  assert.equal(hasUnsyncedMirrors(getMainChatMirrors()), false);
+});
+
+test('mirrors are unsynced when an id differs, even with the same count', async () => {
+  await sendText('one', true);
+  globalThis.stContext.chat[1].extra.phoneMessageId = 'pm-elsewhere';
+  assert.equal(hasUnsyncedMirrors(getMainChatMirrors()), true);
+});
+
+test('applying without a conversation returns false', () => {
+  globalThis.stContext.characterId = undefined;
+  assert.equal(applyMainChatMirrors([]), false);
+});
+
+test('a version 1 store is migrated to version 3 and saved with the chat', async () => {
+  let chatSaves = 0;
+  let metadataSaves = 0;
+  const sameTime = 1700000000000;
+  const chatMetadata = {
+    'st-text-messaging': {
+      version: 1,
+      legacyImported: true,
+      conversations: {
+        'kim.png': {
+          type: 'individual',
+          lastSender: 'character',
+          messages: [
+            { id: sameTime, sender: 'user', text: 'hi', timestamp: sameTime },
+            { id: sameTime, sender: 'character', text: 'hey', timestamp: sameTime }
+          ]
+        }
+      }
+    }
+  };
+  const chat = [
+    { name: 'Alex', is_user: true, mes: '📱 hi', extra: { isPhoneMessage: true, phoneMessageId: sameTime } },
+    { name: 'Kim', is_user: false, mes: '📱 hey', extra: { isPhoneMessage: true, phoneMessageId: sameTime } }
+  ];
+  Object.assign(globalThis.stContext, {
+    chat,
+    chatMetadata,
+    saveChat: async () => { chatSaves++; },
+    saveMetadata: async () => { metadataSaves++; }
+  });
+
+  assert.equal(getStore(), null, 'reading does not load or migrate');
+  assert.equal(chatSaves, 0);
+
+  await loadPhoneStore();
+  const store = getStore();
+  assert.equal(store.version, 3);
+  assert.equal(chatSaves, 1);
+  assert.equal(metadataSaves, 0, 'the chat save includes the metadata');
+
+  const messages = getMessages();
+  assert.deepEqual(messages.map(m => m.text), ['hi', 'hey']);
+  assert.notEqual(messages[0].id, messages[1].id);
+  assert.deepEqual(chat.map(m => m.extra.phoneMessageId), messages.map(m => m.id));
+  assert.ok(messages[0].timestamp instanceof Date);
+
+  await loadPhoneStore();
+  assert.equal(chatSaves, 1, 'migrations run once per chat load');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extension_settings } from '../../../../extensions.js';
+import { processReply, isMostlyNarration } from '../lib/reply-pipeline.js';
+
+extension_settings['st-text-messaging'] = {};
+
+const context = { charName: 'Kim', userName: 'Alex' };
+
+test('keeps texts that quote someone', () => {
+  const texts = [
+    'omg she literally said "I\'m leaving" and walked out 😭',
+    'lol my mom texted me "where are you" at 3am',
+    'I sent him "ok" and he never replied',
+  ];
+  for (const text of texts) {
+    assert.equal(processReply(text, context), text);
+    assert.equal(isMostlyNarration(text, context), false);
+  }
+});
+
+test('extracts quotes wrapped in narration about the character', () => {
+  assert.equal(processReply('*grins* "hey you"', context), 'hey you');
+  assert.equal(processReply('Kim grins. "hey you"', context), 'hey you');
+  assert.equal(processReply('"hey you," Kim types, smiling.', context), 'hey you');
+});
+
+test('keeps lines that mention the character without narrating', () => {
+  const text = 'Kim was right about that.';
+  assert.equal(processReply(text, context), text);
+  assert.equal(isMostlyNarration(text, context), false);
+});
+
+test('drops third-person action lines', () => {
+  assert.equal(processReply('Kim smiles at her phone.\nsee you soon', context), 'see you soon');
+});
+
+test('cleans up a reply that is only third-person narration', () => {
+  assert.equal(processReply('Kim smiles at her phone.', context), '');
+  assert.equal(isMostlyNarration('Kim smiles at her phone.', context), true);
+  assert.equal(isMostlyNarration('Kim smiles.\nsee you at eight then, don\'t be late', context), false);
+});
+
+test('only narration may blank a reply', () => {
+  assert.equal(processReply('*sighs*', context), '');
+  assert.equal(isMostlyNarration('*sighs heavily and puts the phone down*', context), true);
+  assert.equal(processReply('" "', context), '" "');
+});
@@ -0,0 +1,9 @@
+/**
+ * Test setup
+ * Lets lib modules load outside SillyTavern by resolving their
+ * SillyTavern imports to the stubs in tests/stubs
+ */
+
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
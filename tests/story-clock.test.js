@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extension_settings } from '../../../../extensions.js';
+import { loadPhoneStore, getChatValue } from '../lib/message-store.js';
+import { setStoryTime, advanceStoryTimeTo } from '../lib/story-clock.js';
+
+beforeEach(async () => {
+  extension_settings['st-text-messaging'] = {};
+  globalThis.stContext = {
+    name1: 'Alex',
+    name2: 'Kim',
+    characterId: 0,
+    characters: [{ name: 'Kim', avatar: 'kim.png' }],
+    chat: [],
+    chatMetadata: {},
+    saveMetadata: () => {}
+  };
+  await loadPhoneStore();
+});
+
+/**
+ * Gets the story time the clock was last set to
+ * @returns {Date} Stored story time
+ */
+function storedStoryTime() {
+  return new Date(getChatValue('clock').storyTime);
+}
+
+test('advanceStoryTimeTo moves to a later hour on the same day', () => {
+  setStoryTime(new Date(2024, 2, 14, 8, 30));
+  assert.equal(advanceStoryTimeTo(20), true);
+  assert.deepEqual(storedStoryTime(), new Date(2024, 2, 14, 20, 0));
+});
+
+test('advanceStoryTimeTo moves to the next day for an earlier hour', () => {
+  setStoryTime(new Date(2024, 2, 14, 22, 15));
+  advanceStoryTimeTo(8);
+  assert.deepEqual(storedStoryTime(), new Date(2024, 2, 15, 8, 0));
+});
+
+test('advanceStoryTimeTo moves to the next day when it is already that hour', () => {
+  setStoryTime(new Date(2024, 2, 14, 8, 30));
+  advanceStoryTimeTo(8);
+  assert.deepEqual(storedStoryTime(), new Date(2024, 2, 15, 8, 0));
+});
+
+test('advanceStoryTimeTo moves across the end of a month', () => {
+  setStoryTime(new Date(2024, 2, 31, 23, 0));
+  advanceStoryTimeTo(7);
+  assert.deepEqual(storedStoryTime(), new Date(2024, 3, 1, 7, 0));
+});
@@ -0,0 +1,14 @@
+/**
+ * Stub of SillyTavern's extensions.js for tests
+ * Tests fill extension_settings and globalThis.stContext as needed
+ */
+
+export const extension_settings = {};
+
+/**
+ * Returns the test's SillyTavern context
+ * @returns {Object} Context set on globalThis.stContext
+ */
+export function getContext() {
+  return globalThis.stContext ?? {};
+}